@@ -1,34 +1,59 @@
+const path = require('path');
 const readline = require('readline');
-const fs = require('fs');
 
 // Import specialized managers
-const BrowserManager = require('./src/BrowserManager');
-const NATSManager = require('./src/NATSManager');
-const EventProcessor = require('./src/EventProcessor');
-const StatsCollector = require('./src/StatsCollector');
+const AccountSession = require('./src/AccountSession');
+const CommandLineOptions = require('./src/CommandLineOptions');
+const AdminServer = require('./src/AdminServer');
+const MetricsExporter = require('./src/MetricsExporter');
+const ConfigLoader = require('./src/ConfigLoader');
+const { configSchema } = require('./src/configSchema');
+const EventReplayer = require('./src/EventReplayer');
+
+const { EXIT_CODES } = CommandLineOptions;
+
+/**
+ * Subject keys that get the account prefix in multi-account mode
+ */
+const ACCOUNT_SUBJECT_KEYS = [
+    'subject',
+    'subjectTemplate',
+    'contactSubject',
+    'chatSubject',
+    'callSubject',
+    'ignoredSubject',
+    'quarantineSubject',
+    'presenceSubject',
+    'commandSubjectPrefix',
+    'authSubject',
+    'lifecycleSubject'
+];
 
 /**
  * WhatsAppBridge - Main orchestration class
  * Responsibilities:
- * - Coordinate between specialized managers
+ * - Create one AccountSession per configured account
  * - Handle application lifecycle
  * - Manage user interface
- * - Control event polling loop
+ * - Serve the admin API and metrics for all accounts
  */
 class WhatsAppBridge {
-    constructor() {
-        this.config = JSON.parse(fs.readFileSync('./config/config.json', 'utf8'));
-        this.isRunning = false;
-        
-        // Initialize specialized managers
-        this.browserManager = new BrowserManager(this.config, this.debugLog.bind(this));
-        this.natsManager = new NATSManager(this.config, this.debugLog.bind(this));
-        this.eventProcessor = new EventProcessor(this.config, this.debugLog.bind(this));
-        this.statsCollector = new StatsCollector(this.config, this.debugLog.bind(this));
-        
-        // Set up browser close callback
-        this.browserManager.setOnBrowserCloseCallback(() => {
-            this.handleBrowserClose();
+    constructor(options = new CommandLineOptions()) {
+        this.options = options;
+        this.config = options.applyTo(new ConfigLoader(configSchema).load(options.configPath));
+        this.isShuttingDown = false;
+        this.rl = null;
+
+        // Initialize account sessions and process-level managers
+        this.sessions = this.createSessions();
+        this.adminServer = new AdminServer(this.config, this.debugLog.bind(this));
+        this.metricsExporter = new MetricsExporter(this.config, this.debugLog.bind(this));
+
+        // Set up account stopped callbacks
+        this.sessions.forEach(session => {
+            session.setOnStoppedCallback(() => {
+                this.handleSessionStopped(session);
+            });
         });
     }
 
@@ -42,194 +67,232 @@ class WhatsAppBridge {
     }
 
     /**
-     * Launch browser for authentication
+     * Create account sessions; without an accounts list a single default account keeps the base config
      */
-    async launchBrowser() {
-        return await this.browserManager.launch();
+    createSessions() {
+        const configured = this.config.accounts;
+        if (configured.length === 0) {
+            return [new AccountSession(this.buildAccountConfig({ id: 'default' }, false))];
+        }
+
+        const seen = new Set();
+        configured.forEach(account => {
+            if (seen.has(account.id)) {
+                throw new Error(`Duplicate account id: ${account.id}`);
+            }
+            seen.add(account.id);
+        });
+
+        const enabled = configured.filter(account => account.enabled);
+        if (enabled.length === 0) {
+            throw new Error('No enabled accounts in configuration');
+        }
+
+        return enabled.map(account => new AccountSession(this.buildAccountConfig(account, true)));
     }
 
     /**
-     * Start the bridge process
+     * Derive an account's config: own session directory, outbox, recordings, stream and subject prefix
+     * e.g. whatsapp.events becomes whatsapp.<account>.events
      */
-    async startBridge() {
-        try {
-            console.log('Starting WhatsApp Bridge...');
-            
-            // Initialize NATS connection
-            await this.natsManager.connect();
-            
-            // Wait for WhatsApp authentication
-            const authenticated = await this.browserManager.waitForAuthentication();
-            if (!authenticated) {
-                throw new Error('Authentication failed');
-            }
+    buildAccountConfig(account, multiAccount) {
+        const config = JSON.parse(JSON.stringify(this.config));
+        delete config.accounts;
+        config.account = { id: account.id, multiAccount: multiAccount };
 
-            // Inject event listeners
-            await this.browserManager.injectEventListeners();
-            
-            // Set running state
-            this.isRunning = true;
-            this.browserManager.setRunning(true);
-            
-            console.log('✓ Bridge started successfully');
-            
-            // Start event polling
-            this.startEventPolling();
-            
-        } catch (error) {
-            console.error('✗ Failed to start bridge:', error.message);
-            this.isRunning = false;
+        if (!multiAccount) return config;
+
+        const prefix = account.subjectPrefix || `whatsapp.${account.id}`;
+        config.account.subjectPrefix = prefix;
+        const prefixSubject = (subject) => subject.replace(/^[^.]+/, prefix);
+
+        ACCOUNT_SUBJECT_KEYS.forEach(key => {
+            config.nats[key] = prefixSubject(config.nats[key]);
+        });
+        config.nats.jetstream.subjects = config.nats.jetstream.subjects.map(prefixSubject);
+        config.nats.jetstream.stream = `${config.nats.jetstream.stream}_${account.id.toUpperCase().replace(/-/g, '_')}`;
+
+        config.browser.userDataDir = account.userDataDir || path.join(config.browser.userDataDir, account.id);
+        config.outbox.directory = path.join(config.outbox.directory, account.id);
+        config.recording.directory = path.join(config.recording.directory, account.id);
+        if (account.headless !== undefined) {
+            config.browser.headless = account.headless;
         }
+
+        return config;
     }
 
     /**
-     * Start the event polling loop
+     * Check if more than one account is configured
      */
-    async startEventPolling() {
-        let pollingRetries = 0;
-
-        const pollEvents = async () => {
-            if (!this.isRunning) return;
-
-            // Check if browser is still alive
-            const browserAlive = await this.browserManager.isAlive();
-            if (!browserAlive) {
-                console.log('⚠️ Browser not alive, stopping polling');
-                this.handleBrowserClose();
-                return;
-            }
+    isMultiAccount() {
+        return this.config.accounts.length > 0;
+    }
 
-            try {
-                // Poll events from browser
-                const events = await this.browserManager.pollEvents();
+    /**
+     * Find a session by account id
+     */
+    getSession(accountId) {
+        return this.sessions.find(session => session.id === accountId) || null;
+    }
 
-                // Process each event
-                for (const event of events) {
-                    await this.processEvent(event);
-                }
+    /**
+     * Handle an account that stopped because its browser was lost and not recovered
+     */
+    handleSessionStopped(session) {
+        console.log(`⚠️ Account ${session.id} stopped`);
+
+        // Without an operator at the menu, exit so the service manager can restart us
+        const active = this.sessions.some(other => other.isRunning || other.recoverySupervisor.isRecovering);
+        if (this.options.daemon && !active) {
+            this.shutdown(EXIT_CODES.BRIDGE_STOPPED);
+        }
+    }
 
-                pollingRetries = 0;
-            } catch (error) {
-                pollingRetries++;
-                
-                // Check for fatal browser errors
-                if (error.message.includes('Session closed') || 
-                    error.message.includes('detached Frame') ||
-                    error.message.includes('Protocol error')) {
-                    
-                    console.log('⚠️ Browser session lost, stopping polling');
-                    this.handleBrowserClose();
-                    return;
+    /**
+     * Register admin API routes
+     */
+    registerAdminRoutes() {
+        this.adminServer.registerRoute('GET', '/healthz', async () => {
+            const health = await this.getHealth();
+            return { status: health.healthy ? 200 : 503, body: health };
+        }, { public: true });
+
+        this.adminServer.registerRoute('GET', '/stats', async () => ({
+            body: { accounts: this.mapSessions(session => session.statsCollector.getStatsSummary()) }
+        }));
+
+        this.adminServer.registerRoute('POST', '/stats/reset', async () => {
+            this.sessions.forEach(session => session.statsCollector.resetStats());
+            return { body: { success: true } };
+        });
+
+        this.adminServer.registerRoute('GET', '/metrics', async () => ({
+            contentType: 'text/plain; version=0.0.4; charset=utf-8',
+            body: await this.renderMetrics()
+        }));
+
+        this.adminServer.registerRoute('POST', '/reload-transformers', async () => {
+            const reloaded = (await Promise.all(this.sessions.map(session => session.reloadTransformers()))).every(Boolean);
+            return {
+                status: reloaded ? 200 : 500,
+                body: {
+                    success: reloaded,
+                    processing: this.mapSessions(session => session.eventProcessor.getProcessingStats())
                 }
+            };
+        });
 
-                this.debugLog(`Polling error (attempt ${pollingRetries}): ${error.message}`);
-                
-                if (pollingRetries >= this.config.polling.maxRetries) {
-                    console.log('⚠️ Max polling retries reached, stopping bridge');
-                    this.handleBrowserClose();
-                    return;
+        this.adminServer.registerRoute('POST', '/reload-filters', async () => {
+            const reloaded = (await Promise.all(this.sessions.map(session => session.reloadFilters()))).every(Boolean);
+            return {
+                status: reloaded ? 200 : 500,
+                body: {
+                    success: reloaded,
+                    rules: this.mapSessions(session => session.eventProcessor.getFilterRuleNames())
                 }
+            };
+        });
 
-                setTimeout(pollEvents, this.config.polling.retryDelay);
-                return;
-            }
+        this.sessions.forEach(session => {
+            const base = `/accounts/${session.id}`;
 
-            // Schedule next poll
-            if (this.isRunning) {
-                setTimeout(pollEvents, this.config.polling.interval);
-            }
-        };
+            // Starting and re-authenticating can wait on a QR scan, so they run in the background
+            this.adminServer.registerRoute('POST', `${base}/start`, async () => {
+                this.runAccountAction(session.start(), session, 'start');
+                return { status: 202, body: { accepted: true, account: session.id } };
+            });
+
+            this.adminServer.registerRoute('POST', `${base}/stop`, async () => {
+                await session.stop();
+                return { body: { success: true, account: session.id } };
+            });
 
-        pollEvents();
+            // Deletes the saved WhatsApp session, so it is only served behind an admin token
+            this.adminServer.registerRoute('POST', `${base}/reauthenticate`, async () => {
+                this.runAccountAction(session.reauthenticate(), session, 'reauthenticate');
+                return { status: 202, body: { accepted: true, account: session.id } };
+            }, { destructive: true });
+        });
     }
 
     /**
-     * Process a single event
+     * Log the outcome of an account action started from the admin API
      */
-    async processEvent(event) {
-        const startTime = Date.now();
-        
-        try {
-            // Update event stats
-            this.statsCollector.updateEventStats(event.type);
-            this.debugLog(`Processing event: ${event.type}`);
-
-            // Process event through EventProcessor
-            const result = await this.eventProcessor.processEvent(event);
-
-            switch (result.action) {
-                case 'publish':
-                    // Publish to NATS
-                    const publishResult = await this.natsManager.publishEvent(
-                        result.eventData, 
-                        result.eventType
-                    );
-                    
-                    // Update message stats
-                    this.statsCollector.updateMessageStats(publishResult.subject, publishResult.success);
-                    
-                    // Log transformation if it occurred
-                    if (result.wasTransformed && this.config.debug.enabled) {
-                        console.log(`🔄 Event transformed: ${result.eventType} -> ${result.eventData.data.type || result.eventType}`);
-                    }
-                    break;
-
-                case 'ignore':
-                    // Publish to ignored subject
-                    const ignoreResult = await this.natsManager.publishIgnoredEvent(result.eventData);
-                    this.statsCollector.updateMessageStats(ignoreResult.subject, ignoreResult.success);
-                    this.statsCollector.updateEventStats(result.eventType, 'ignored');
-                    break;
-
-                case 'filter':
-                    // Event was filtered out
-                    this.statsCollector.updateEventStats(result.eventType, 'filtered');
-                    break;
-
-                case 'skip':
-                    // Event was skipped due to processing issues
-                    this.debugLog(`Event skipped: ${result.reason}`);
-                    break;
-
-                case 'error':
-                    // Error occurred during processing
-                    console.error(`Error processing event ${result.eventType}: ${result.error}`);
-                    this.statsCollector.updateEventStats(result.eventType, 'error');
-                    break;
-            }
+    runAccountAction(promise, session, action) {
+        promise
+            .then(result => {
+                if (!result.success) {
+                    console.error(`✗ Account ${session.id} ${action} failed (exit code ${result.exitCode})`);
+                }
+            })
+            .catch(error => {
+                console.error(`Error during account ${session.id} ${action}:`, error.message);
+            });
+    }
 
-        } catch (error) {
-            console.error('Error in event processing pipeline:', error.message);
-            this.statsCollector.updateEventStats(event.type, 'error');
-        } finally {
-            // Record processing time
-            const processingTime = Date.now() - startTime;
-            this.statsCollector.recordProcessingTime(processingTime);
+    /**
+     * Build an object keyed by account id
+     */
+    mapSessions(fn) {
+        const result = {};
+        this.sessions.forEach(session => {
+            result[session.id] = fn(session);
+        });
+        return result;
+    }
+
+    /**
+     * Render Prometheus metrics for all accounts
+     */
+    async renderMetrics() {
+        const snapshots = await Promise.all(this.sessions.map(session => session.getMetricsSnapshot()));
+        return this.metricsExporter.render(snapshots);
+    }
+
+    /**
+     * Collect health for every account; healthy only when all accounts are
+     */
+    async getHealth() {
+        const accounts = {};
+        for (const session of this.sessions) {
+            accounts[session.id] = await session.getHealth();
         }
+
+        return {
+            healthy: Object.values(accounts).every(health => health.healthy),
+            accounts: accounts
+        };
     }
 
     /**
-     * Handle browser close events
+     * Start the admin API if enabled
      */
-    handleBrowserClose() {
-        if (this.isRunning) {
-            console.log('🔄 Browser closed, stopping bridge...');
-            this.isRunning = false;
+    async startAdminServer() {
+        if (!this.adminServer.isEnabled()) return;
+
+        this.registerAdminRoutes();
+        try {
+            await this.adminServer.start();
+        } catch (error) {
+            console.error('✗ Failed to start admin API:', error.message);
         }
     }
 
     /**
-     * Stop the bridge
+     * Stop all accounts and the admin API
      */
     async stop() {
-        this.isRunning = false;
-        
-        // Close NATS connection
-        await this.natsManager.close();
-        
-        // Close browser
-        await this.browserManager.close();
-        
+        // Stop admin API
+        await this.adminServer.close();
+
+        // Stop every account, even if one of them fails to close cleanly
+        await Promise.all(this.sessions.map(session =>
+            session.stop().catch(error => {
+                console.error(`Error stopping account ${session.id}:`, error.message);
+            })
+        ));
+
         console.log('✓ Bridge stopped');
     }
 
@@ -238,41 +301,90 @@ class WhatsAppBridge {
      */
     showMenu() {
         console.log('\n=== WhatsApp Bridge ===');
+        if (this.isMultiAccount()) {
+            console.log(`Accounts: ${this.sessions.map(session => `${session.id} (${session.isRunning ? 'running' : 'stopped'})`).join(', ')}`);
+        }
         console.log('1. Launch browser for authentication');
         console.log('2. Start bridge');
         console.log('3. Show statistics');
         console.log('4. Reset statistics');
-        console.log('5. Exit');
+        console.log('5. Stop bridge');
+        console.log('6. Re-authenticate account');
+        console.log('7. Exit');
         console.log('========================');
     }
 
+    /**
+     * Ask a question on the menu prompt
+     */
+    ask(question) {
+        return new Promise(resolve => {
+            this.rl.question(question, answer => resolve(answer.trim()));
+        });
+    }
+
+    /**
+     * Ask which accounts a menu action applies to
+     * Returns all sessions for "all" (when allowed), or an empty list for an unknown id
+     */
+    async chooseSessions(allowAll = true) {
+        if (!this.isMultiAccount()) return this.sessions;
+
+        const ids = this.sessions.map(session => session.id).join(', ');
+        const answer = await this.ask(`Account (${ids}${allowAll ? ', all' : ''}): `);
+        if (allowAll && answer === 'all') return this.sessions;
+
+        const session = this.getSession(answer);
+        if (!session) {
+            console.log(`✗ Unknown account: ${answer}`);
+            return [];
+        }
+        return [session];
+    }
+
     /**
      * Handle menu choices
      */
     async handleMenuChoice(choice) {
         switch (choice) {
             case '1':
-                await this.launchBrowser();
+                for (const session of await this.chooseSessions()) {
+                    await session.launchBrowser();
+                }
                 break;
             case '2':
-                if (!this.browserManager.isAvailable()) {
-                    console.log('✗ Please launch browser first (option 1)');
-                    break;
+                for (const session of await this.chooseSessions()) {
+                    if (!session.browserManager.isAvailable()) {
+                        console.log(`✗ Please launch browser first (option 1)${this.isMultiAccount() ? ` for ${session.id}` : ''}`);
+                        continue;
+                    }
+                    await session.startBridge();
                 }
-                await this.startBridge();
                 break;
             case '3':
                 this.showStatistics();
                 break;
             case '4':
-                this.statsCollector.resetStats();
+                this.sessions.forEach(session => session.statsCollector.resetStats());
                 break;
             case '5':
-                await this.stop();
-                process.exit(0);
+                for (const session of await this.chooseSessions()) {
+                    await session.stop();
+                }
+                break;
+            case '6':
+                for (const session of await this.chooseSessions(false)) {
+                    const confirm = await this.ask(`This removes the saved session in ${session.config.browser.userDataDir}. Continue? (y/N): `);
+                    if (confirm.toLowerCase() === 'y') {
+                        await session.reauthenticate();
+                    }
+                }
+                break;
+            case '7':
+                await this.shutdown(EXIT_CODES.OK);
                 break;
             default:
-                console.log('Invalid option. Please choose 1-5.');
+                console.log('Invalid option. Please choose 1-7.');
         }
     }
 
@@ -283,40 +395,130 @@ class WhatsAppBridge {
         console.log('\n' + '='.repeat(60));
         console.log('                    BRIDGE STATISTICS');
         console.log('='.repeat(60));
-        
-        // Show all statistics
-        this.statsCollector.showEventStats();
-        this.statsCollector.showMessageStats();
-        this.statsCollector.showPerformanceStats();
-        
-        // Show connection status
-        console.log('\n🔗 CONNECTION STATUS');
-        console.log(`Browser: ${this.browserManager.isAvailable() ? '✓ Connected' : '✗ Disconnected'}`);
-        console.log(`NATS: ${this.natsManager.isConnected() ? '✓ Connected' : '✗ Disconnected'}`);
-        console.log(`Bridge: ${this.isRunning ? '✓ Running' : '✗ Stopped'}`);
-        
-        const natsInfo = this.natsManager.getConnectionInfo();
-        if (natsInfo) {
-            console.log(`NATS Servers: ${natsInfo.servers.join(', ')}`);
-        }
-        
+
+        // Show statistics and connection status per account
+        this.sessions.forEach(session => session.showStatistics());
+
         console.log('='.repeat(60));
     }
 
+    /**
+     * Stop the bridge and exit the process with the given code
+     */
+    async shutdown(exitCode) {
+        if (this.isShuttingDown) return;
+        this.isShuttingDown = true;
+
+        try {
+            await this.stop();
+        } catch (error) {
+            console.error('Error during shutdown:', error.message);
+        }
+
+        if (this.rl) {
+            this.rl.close();
+        }
+        process.exit(exitCode);
+    }
+
+    /**
+     * Register graceful shutdown on SIGINT and SIGTERM
+     */
+    registerSignalHandlers() {
+        const onSignal = (signal) => {
+            console.log(`\nReceived ${signal}, shutting down...`);
+            this.shutdown(EXIT_CODES.OK);
+        };
+
+        process.on('SIGINT', onSignal);
+        process.on('SIGTERM', onSignal);
+    }
+
+    /**
+     * Run without the interactive menu: launch, authenticate, inject and poll every account
+     * Exits with the first failing account's code when no account could be started
+     */
+    async runDaemon() {
+        console.log('WhatsApp Bridge v2.0.0 - Daemon mode');
+
+        const results = await Promise.all(this.sessions.map(session => session.start()));
+
+        const failures = results.filter(result => !result.success);
+        if (failures.length === results.length) {
+            await this.shutdown(failures[0].exitCode);
+            return;
+        }
+
+        // Keep the accounts that started; release the browsers of those that did not
+        for (let i = 0; i < results.length; i++) {
+            if (!results[i].success) {
+                await this.sessions[i].stop();
+            }
+        }
+        if (failures.length > 0) {
+            console.log(`⚠️ ${failures.length} of ${results.length} accounts failed to start`);
+        }
+    }
+
+    /**
+     * Feed a recording through one account's pipeline without a browser, then exit
+     */
+    async runReplay() {
+        const session = this.options.account ? this.getSession(this.options.account) : this.sessions[0];
+        if (!session) {
+            console.error(`✗ Unknown account: ${this.options.account}`);
+            await this.shutdown(EXIT_CODES.INVALID_CONFIGURATION);
+            return;
+        }
+
+        try {
+            const replayer = new EventReplayer(session, {
+                recordingPath: this.options.replay,
+                speed: this.options.speed,
+                dryRun: this.options.dryRun
+            });
+            const result = await replayer.run();
+
+            if (this.options.dryRun) {
+                console.log(`Results: ${Object.entries(result.byAction).map(([action, count]) => `${action} ${count}`).join(', ') || 'none'}`);
+            } else {
+                session.showStatistics();
+            }
+        } catch (error) {
+            console.error('✗ Replay failed:', error.message);
+            await this.shutdown(EXIT_CODES.UNEXPECTED_ERROR);
+            return;
+        }
+
+        await this.shutdown(EXIT_CODES.OK);
+    }
+
     /**
      * Main application entry point
      */
     async run() {
-        const rl = readline.createInterface({
+        this.registerSignalHandlers();
+
+        if (this.options.replay) {
+            return await this.runReplay();
+        }
+
+        await this.startAdminServer();
+
+        if (this.options.daemon) {
+            return await this.runDaemon();
+        }
+
+        this.rl = readline.createInterface({
             input: process.stdin,
             output: process.stdout
         });
 
         const askQuestion = () => {
             this.showMenu();
-            rl.question('Choose an option: ', async (answer) => {
+            this.rl.question('Choose an option: ', async (answer) => {
                 await this.handleMenuChoice(answer.trim());
-                if (answer.trim() !== '5') {
+                if (answer.trim() !== '7') {
                     setTimeout(askQuestion, 1000);
                 }
             });
@@ -324,19 +526,36 @@ class WhatsAppBridge {
 
         console.log('WhatsApp Bridge v2.0.0 - Modular Architecture');
         console.log('Make sure NATS server is running on localhost:4222\n');
-        
-        askQuestion();
 
-        // Handle graceful shutdown
-        process.on('SIGINT', async () => {
-            console.log('\nShutting down...');
-            await this.stop();
-            rl.close();
-            process.exit(0);
-        });
+        askQuestion();
     }
 }
 
+// Parse command line options and environment overrides
+let options;
+try {
+    options = new CommandLineOptions(process.argv.slice(2), process.env);
+} catch (error) {
+    console.error(`✗ ${error.message}`);
+    console.error(CommandLineOptions.usage());
+    process.exit(EXIT_CODES.INVALID_CONFIGURATION);
+}
+
+if (options.help) {
+    console.log(CommandLineOptions.usage());
+    process.exit(EXIT_CODES.OK);
+}
+
 // Start the application
-const bridge = new WhatsAppBridge();
-bridge.run().catch(console.error);
\ No newline at end of file
+let bridge;
+try {
+    bridge = new WhatsAppBridge(options);
+} catch (error) {
+    console.error('✗ Failed to load configuration:', error.message);
+    process.exit(EXIT_CODES.INVALID_CONFIGURATION);
+}
+
+bridge.run().catch((error) => {
+    console.error(error);
+    process.exit(EXIT_CODES.UNEXPECTED_ERROR);
+});
\ No newline at end of file
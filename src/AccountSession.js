@@ -0,0 +1,856 @@
+const fs = require('fs');
+const qrcode = require('qrcode-terminal');
+
+// Import specialized managers
+const BrowserManager = require('./BrowserManager');
+const SimulatorBrowserManager = require('./SimulatorBrowserManager');
+const NATSManager = require('./NATSManager');
+const EventProcessor = require('./EventProcessor');
+const StatsCollector = require('./StatsCollector');
+const WebhookManager = require('./WebhookManager');
+const MediaManager = require('./MediaManager');
+const OutboxManager = require('./OutboxManager');
+const RecoverySupervisor = require('./RecoverySupervisor');
+const EventRecorder = require('./EventRecorder');
+const CommandLineOptions = require('./CommandLineOptions');
+
+const { EXIT_CODES } = CommandLineOptions;
+
+/**
+ * AccountSession - Handles one WhatsApp account (browser session and event pipeline)
+ * Responsibilities:
+ * - Coordinate the managers of a single account
+ * - Start, stop and re-authenticate the account independently
+ * - Control the account's event polling loop
+ * - Report health and metrics for the account
+ */
+class AccountSession {
+    constructor(config) {
+        this.config = config;
+        this.id = config.account.id;
+        this.isMultiAccount = !!config.account.multiAccount;
+        this.label = this.isMultiAccount ? `[${this.id}] ` : '';
+        this.isRunning = false;
+        this.isStopping = false;
+        this.onStoppedCallback = null;
+
+        // Initialize specialized managers
+        // The simulator stands in for the browser, so the rest of the pipeline runs unchanged
+        this.browserManager = this.config.simulator.enabled ?
+            new SimulatorBrowserManager(this.config, this.debugLog.bind(this)) :
+            new BrowserManager(this.config, this.debugLog.bind(this));
+        this.natsManager = new NATSManager(this.config, this.debugLog.bind(this));
+        this.eventProcessor = new EventProcessor(this.config, this.debugLog.bind(this));
+        this.statsCollector = new StatsCollector(this.config, this.debugLog.bind(this));
+        this.webhookManager = new WebhookManager(this.config, this.debugLog.bind(this));
+        this.mediaManager = new MediaManager(this.config, this.debugLog.bind(this));
+        this.outboxManager = new OutboxManager(this.config, this.debugLog.bind(this));
+        this.recoverySupervisor = new RecoverySupervisor(this.config, this.debugLog.bind(this));
+        this.eventRecorder = new EventRecorder(this.config, this.debugLog.bind(this));
+        this.outboxTimer = null;
+        this.pollingGeneration = 0;
+        this.eventChain = Promise.resolve();
+        this.pendingWebhooks = new Set();
+
+        // Report every subject from the routing table and filter rules in stats
+        this.natsManager.setRuleDestinations(this.eventProcessor.getFilterDestinations());
+        this.statsCollector.registerSubjects(this.natsManager.getKnownSubjects());
+        this.statsCollector.registerRules(this.eventProcessor.getFilterRuleNames());
+        this.statsCollector.registerPlugins(this.eventProcessor.getPluginNames());
+
+        // Record the outcome and duration of every transformer plugin run
+        this.eventProcessor.setOnPluginRunCallback((run) => {
+            this.statsCollector.updatePluginStats(run);
+        });
+
+        // Set up browser close callback
+        this.browserManager.setOnBrowserCloseCallback(() => {
+            this.handleBrowserClose();
+        });
+
+        // Set up authentication event callback (QR codes, success, failure)
+        this.browserManager.setOnAuthEventCallback((type, payload) => {
+            this.handleAuthEvent(type, payload);
+        });
+
+        // Set up push transport callback (events handed over by store.js)
+        this.browserManager.setOnEventCallback((event) => {
+            this.enqueueEvent(event, 'push');
+        });
+
+        // Set up recovery lifecycle callback
+        this.recoverySupervisor.setOnLifecycleEventCallback((type, payload) => {
+            this.handleLifecycleEvent(type, payload);
+        });
+    }
+
+    /**
+     * Debug logging utility
+     */
+    debugLog(message) {
+        if (this.config.debug.enabled) {
+            console.log(`🔍 DEBUG: ${this.label}${message}`);
+        }
+    }
+
+    /**
+     * Set callback for when the account stops on its own (browser lost and not recovered)
+     */
+    setOnStoppedCallback(callback) {
+        this.onStoppedCallback = callback;
+    }
+
+    /**
+     * Launch browser for authentication
+     */
+    async launchBrowser() {
+        this.isStopping = false;
+        return await this.browserManager.launch();
+    }
+
+    /**
+     * Launch the browser and start the bridge
+     * Returns { success, exitCode } like startBridge()
+     */
+    async start() {
+        if (this.isRunning) {
+            return { success: true, exitCode: EXIT_CODES.OK };
+        }
+
+        if (!this.browserManager.isAvailable() && !await this.launchBrowser()) {
+            return { success: false, exitCode: EXIT_CODES.BROWSER_LAUNCH_FAILED };
+        }
+
+        return await this.startBridge();
+    }
+
+    /**
+     * Start the bridge process
+     * Returns { success, exitCode } so daemon mode can report the failing stage
+     */
+    async startBridge() {
+        if (this.isRunning) {
+            console.log(`${this.label}Bridge is already running`);
+            return { success: true, exitCode: EXIT_CODES.OK };
+        }
+
+        try {
+            console.log(`${this.label}Starting WhatsApp Bridge...`);
+            this.isStopping = false;
+            this.recoverySupervisor.reset();
+
+            // Initialize NATS connection (events are queued in the outbox if unreachable)
+            try {
+                await this.natsManager.connect();
+            } catch (error) {
+                if (!this.outboxManager.isEnabled()) {
+                    error.exitCode = EXIT_CODES.NATS_CONNECTION_FAILED;
+                    throw error;
+                }
+                console.log(`⚠️ ${this.label}NATS unavailable, events will be queued in the outbox`);
+            }
+
+            // Wait for WhatsApp authentication
+            const authenticated = await this.browserManager.waitForAuthentication();
+            if (!authenticated) {
+                const error = new Error('Authentication failed');
+                error.exitCode = EXIT_CODES.AUTHENTICATION_FAILED;
+                throw error;
+            }
+
+            // Inject event listeners
+            await this.browserManager.injectEventListeners();
+
+            // Set running state
+            this.isRunning = true;
+            this.browserManager.setRunning(true);
+
+            // Listen for outbound commands
+            if (this.natsManager.isConnected()) {
+                this.subscribeToCommands();
+            }
+
+            // Replay queued events once NATS is reachable
+            this.startOutboxReplay();
+
+            console.log(`✓ ${this.label}Bridge started successfully`);
+
+            // Start event polling
+            this.startEventPolling();
+
+            return { success: true, exitCode: EXIT_CODES.OK };
+        } catch (error) {
+            console.error(`✗ ${this.label}Failed to start bridge:`, error.message);
+            this.isRunning = false;
+            return { success: false, exitCode: error.exitCode || EXIT_CODES.UNEXPECTED_ERROR };
+        }
+    }
+
+    /**
+     * Start the event polling loop
+     */
+    async startEventPolling() {
+        let pollingRetries = 0;
+        // A restarted bridge starts a new loop; stale loops from before the restart stop here
+        const generation = ++this.pollingGeneration;
+
+        const pollEvents = async () => {
+            if (!this.isRunning || generation !== this.pollingGeneration) return;
+
+            // Check if browser is still alive
+            const browserAlive = await this.browserManager.isAlive();
+            if (!browserAlive) {
+                console.log(`⚠️ ${this.label}Browser not alive, stopping polling`);
+                this.handleBrowserClose();
+                return;
+            }
+
+            try {
+                // Poll events from browser
+                const events = await this.browserManager.pollEvents();
+
+                // Process each event (in push mode this drains the fallback queue)
+                for (const event of events) {
+                    await this.enqueueEvent(event, 'poll');
+                }
+
+                pollingRetries = 0;
+            } catch (error) {
+                pollingRetries++;
+
+                // Check for fatal browser errors
+                if (error.message.includes('Session closed') ||
+                    error.message.includes('detached Frame') ||
+                    error.message.includes('Protocol error')) {
+
+                    console.log(`⚠️ ${this.label}Browser session lost, stopping polling`);
+                    this.handleBrowserClose();
+                    return;
+                }
+
+                this.debugLog(`Polling error (attempt ${pollingRetries}): ${error.message}`);
+
+                if (pollingRetries >= this.config.polling.maxRetries) {
+                    console.log(`⚠️ ${this.label}Max polling retries reached, stopping bridge`);
+                    this.handleBrowserClose();
+                    return;
+                }
+
+                setTimeout(pollEvents, this.config.polling.retryDelay);
+                return;
+            }
+
+            // Schedule next poll
+            if (this.isRunning) {
+                setTimeout(pollEvents, this.config.polling.interval);
+            }
+        };
+
+        pollEvents();
+    }
+
+    /**
+     * Queue an event for processing so pushed and polled events keep their order
+     */
+    enqueueEvent(event, transport) {
+        this.statsCollector.updateTransportStats(transport);
+        this.recordEvent(event, transport);
+        this.eventChain = this.eventChain.then(() => this.processEvent(event));
+        return this.eventChain;
+    }
+
+    /**
+     * Append a raw event to the recording before anything modifies it
+     */
+    recordEvent(event, transport) {
+        if (!this.eventRecorder.isEnabled()) return;
+
+        try {
+            this.eventRecorder.record(event, transport);
+        } catch (error) {
+            console.error(`${this.label}Error recording event:`, error.message);
+        }
+    }
+
+    /**
+     * Process a single event
+     */
+    async processEvent(event) {
+        const startTime = Date.now();
+
+        try {
+            // Update event stats
+            this.statsCollector.updateEventStats(event.type);
+            this.debugLog(`Processing event: ${event.type}`);
+
+            // Download media before transformation so transformers can reference it
+            if (this.mediaManager.shouldDownload(event)) {
+                await this.attachMedia(event);
+            }
+
+            // Process event through EventProcessor
+            const result = await this.eventProcessor.processEvent(event);
+
+            if (result.ruleHits && result.ruleHits.length > 0) {
+                this.statsCollector.updateRuleStats(result.ruleHits);
+            }
+
+            switch (result.action) {
+                case 'publish':
+                    this.tagAccount(result.eventData);
+
+                    // Deliver to webhooks in the background so retries don't block polling
+                    this.dispatchWebhooks(result.eventData, result.eventType);
+
+                    // Publish to NATS
+                    const publishResult = await this.publishOrQueue('event', result.eventData, result.eventType, result.destinations);
+
+                    // Update message stats
+                    if (publishResult) {
+                        this.recordPublish(publishResult);
+                        if (event.timestamp) {
+                            this.statsCollector.recordEventLatency(Date.now() - event.timestamp);
+                        }
+                    }
+
+                    // Log transformation if it occurred
+                    if (result.wasTransformed && this.config.debug.enabled) {
+                        console.log(`🔄 ${this.label}Event transformed: ${result.eventType} -> ${result.eventData.data.type || result.eventType}`);
+                    }
+                    break;
+
+                case 'ignore':
+                    this.tagAccount(result.eventData);
+
+                    // Publish to ignored subject
+                    const ignoreResult = await this.publishOrQueue('ignored', result.eventData, result.eventType);
+                    if (ignoreResult) {
+                        this.recordPublish(ignoreResult);
+                    }
+                    this.statsCollector.updateEventStats(result.eventType, 'ignored');
+                    break;
+
+                case 'quarantine':
+                    this.tagAccount(result.eventData);
+
+                    // Failed schema validation: publish with the errors attached instead of as-is
+                    console.log(`⚠️ ${this.label}Event ${result.eventType} failed schema validation: ${result.eventData.validation.errors.join('; ')}`);
+                    const quarantineResult = await this.publishOrQueue('quarantine', result.eventData, result.eventType);
+                    if (quarantineResult) {
+                        this.recordPublish(quarantineResult);
+                    }
+                    this.statsCollector.updateEventStats(result.eventType, 'quarantined');
+                    break;
+
+                case 'drop':
+                    // Dropped by a filter rule: never published, queued or sent to webhooks
+                    this.debugLog(`Event dropped by filter rule: ${result.eventType}`);
+                    this.statsCollector.updateEventStats(result.eventType, 'dropped');
+                    break;
+
+                case 'filter':
+                    // Event was filtered out
+                    this.statsCollector.updateEventStats(result.eventType, 'filtered');
+                    break;
+
+                case 'skip':
+                    // Event was skipped due to processing issues
+                    this.debugLog(`Event skipped: ${result.reason}`);
+                    break;
+
+                case 'error':
+                    // Error occurred during processing
+                    console.error(`${this.label}Error processing event ${result.eventType}: ${result.error}`);
+                    this.statsCollector.updateEventStats(result.eventType, 'error');
+                    break;
+            }
+
+        } catch (error) {
+            console.error(`${this.label}Error in event processing pipeline:`, error.message);
+            this.statsCollector.updateEventStats(event.type, 'error');
+        } finally {
+            // Record processing time
+            const processingTime = Date.now() - startTime;
+            this.statsCollector.recordProcessingTime(processingTime);
+        }
+    }
+
+    /**
+     * Add the account id to outgoing events when several accounts share the bridge
+     */
+    tagAccount(eventData) {
+        if (this.isMultiAccount) {
+            eventData.account = this.id;
+        }
+    }
+
+    /**
+     * Publish an event to NATS, falling back to the outbox when publishing is not possible
+     * Returns the publish result, or null if the event was queued
+     */
+    async publishOrQueue(kind, eventData, eventType, destinations = null) {
+        if (this.outboxManager.isEnabled() &&
+            (this.outboxManager.hasPending() || !this.natsManager.isConnected())) {
+            // Keep ordering: nothing bypasses events that are already queued
+            this.queueEvent(kind, eventData, eventType, destinations);
+            return null;
+        }
+
+        try {
+            return await this.publishToNATS(kind, eventData, eventType, destinations);
+        } catch (error) {
+            // Only connection trouble is worth queueing; a permanent failure would block the outbox
+            if (!this.outboxManager.isEnabled() || !this.natsManager.isTransientError(error)) {
+                throw error;
+            }
+            this.statsCollector.updateMessageStats(null, false);
+            this.queueEvent(kind, eventData, eventType, destinations);
+            return null;
+        }
+    }
+
+    /**
+     * Publish an event or ignored event to NATS
+     */
+    async publishToNATS(kind, eventData, eventType, destinations = null) {
+        if (kind === 'ignored') {
+            return await this.natsManager.publishIgnoredEvent(eventData);
+        }
+        if (kind === 'quarantine') {
+            return await this.natsManager.publishQuarantinedEvent(eventData);
+        }
+        return await this.natsManager.publishEvent(eventData, eventType, destinations);
+    }
+
+    /**
+     * Record message stats for every subject an event was published to
+     */
+    recordPublish(publishResult) {
+        publishResult.subjects.forEach(subject => {
+            this.statsCollector.updateMessageStats(subject, publishResult.success);
+        });
+    }
+
+    /**
+     * Write an event to the outbox and record outbox stats
+     */
+    queueEvent(kind, eventData, eventType, destinations = null) {
+        try {
+            const dropped = this.outboxManager.enqueue(kind, eventData, eventType, destinations);
+            this.statsCollector.updateOutboxStats('queued', this.outboxManager.getDepth());
+            if (dropped > 0) {
+                this.statsCollector.updateOutboxStats('dropped', this.outboxManager.getDepth(), dropped);
+            }
+        } catch (error) {
+            console.error(`${this.label}Error writing event to outbox:`, error.message);
+            this.statsCollector.updateEventStats(eventType, 'error');
+        }
+    }
+
+    /**
+     * Start the periodic outbox replay loop
+     */
+    startOutboxReplay() {
+        if (!this.outboxManager.isEnabled() || this.outboxTimer) return;
+
+        this.outboxTimer = setInterval(() => {
+            this.replayOutbox().catch(error => {
+                console.error(`${this.label}Error replaying outbox:`, error.message);
+            });
+        }, this.config.outbox.replayInterval || 5000);
+    }
+
+    /**
+     * Reconnect to NATS if needed and replay queued events in order
+     */
+    async replayOutbox() {
+        const expired = this.outboxManager.prune();
+        if (expired > 0) {
+            this.statsCollector.updateOutboxStats('dropped', this.outboxManager.getDepth(), expired);
+        }
+
+        if (!this.outboxManager.hasPending()) return;
+
+        if (this.natsManager.isReconnecting()) {
+            this.debugLog('Outbox replay waiting for NATS to reconnect');
+            return;
+        }
+
+        if (!this.natsManager.isConnected()) {
+            try {
+                await this.natsManager.connect();
+                this.subscribeToCommands();
+            } catch (error) {
+                this.debugLog(`Outbox replay waiting for NATS: ${error.message}`);
+                return;
+            }
+        }
+
+        const result = await this.outboxManager.replay(async (entry) => {
+            const publishResult = await this.publishToNATS(entry.kind, entry.eventData, entry.eventType, entry.destinations || null);
+            this.recordPublish(publishResult);
+            this.statsCollector.updateOutboxStats('replayed', this.outboxManager.getDepth());
+        }, (error) => this.natsManager.isTransientError(error));
+
+        if (result.expired > 0) {
+            this.statsCollector.updateOutboxStats('dropped', this.outboxManager.getDepth(), result.expired);
+        }
+        if (result.failed > 0) {
+            this.statsCollector.updateOutboxStats('dropped', this.outboxManager.getDepth(), result.failed);
+        }
+        if (result.replayed > 0) {
+            console.log(`📦 ${this.label}Outbox replayed ${result.replayed} events (${this.outboxManager.getDepth()} pending)`);
+        }
+        this.statsCollector.updateOutboxStats('depth', this.outboxManager.getDepth());
+    }
+
+    /**
+     * Subscribe to outbound command subjects
+     */
+    subscribeToCommands() {
+        this.natsManager.subscribeToCommands({
+            send_text: (payload) => this.handleSendTextCommand(payload)
+        });
+    }
+
+    /**
+     * Download media for a message event and attach its descriptor to the raw data
+     */
+    async attachMedia(event) {
+        const msg = event.data;
+
+        try {
+            const download = await this.browserManager.downloadMedia(msg.id._serialized, this.mediaManager.getMaxSize());
+            if (!download.success) {
+                console.error(`${this.label}Media download failed for ${msg.id._serialized}: ${download.error.message}`);
+                return;
+            }
+
+            msg.media = this.mediaManager.storeMedia(download.data, msg.filehash, download.mimetype || msg.mimetype);
+        } catch (error) {
+            console.error(`${this.label}Error storing media for ${msg.id._serialized}:`, error.message);
+        }
+    }
+
+    /**
+     * Handle a send_text command received over NATS
+     */
+    async handleSendTextCommand(payload) {
+        if (!payload || typeof payload.chatId !== 'string' || !payload.chatId) {
+            return {
+                success: false,
+                error: { code: 'invalid_payload', message: 'chatId is required' }
+            };
+        }
+
+        if (typeof payload.body !== 'string' || !payload.body) {
+            return {
+                success: false,
+                error: { code: 'invalid_payload', message: 'body is required' }
+            };
+        }
+
+        if (!this.isRunning) {
+            return {
+                success: false,
+                error: { code: 'bridge_not_running', message: 'Bridge is not running' }
+            };
+        }
+
+        this.debugLog(`Sending text message to ${payload.chatId}`);
+        return await this.browserManager.sendTextMessage(
+            payload.chatId,
+            payload.body,
+            payload.quotedMsgId || null
+        );
+    }
+
+    /**
+     * Deliver event to configured webhooks and record delivery stats
+     */
+    dispatchWebhooks(eventData, eventType) {
+        if (!this.webhookManager.isEnabled()) return;
+
+        const delivery = this.webhookManager.deliver(eventData, eventType)
+            .then(results => {
+                results.forEach(deliveryResult => this.statsCollector.updateWebhookStats(deliveryResult));
+            })
+            .catch(error => {
+                console.error(`${this.label}Error delivering webhooks:`, error.message);
+            })
+            .finally(() => {
+                this.pendingWebhooks.delete(delivery);
+            });
+        this.pendingWebhooks.add(delivery);
+    }
+
+    /**
+     * Wait until webhook deliveries in progress (including retries) have finished
+     * Gives up after timeout ms when one is given; returns false if deliveries were still pending
+     */
+    async waitForWebhooks(timeout = null) {
+        const deadline = timeout ? Date.now() + timeout : null;
+
+        while (this.pendingWebhooks.size > 0) {
+            const pending = Promise.all([...this.pendingWebhooks]);
+            if (!deadline) {
+                await pending;
+                continue;
+            }
+
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) return false;
+
+            let timer;
+            await Promise.race([pending, new Promise(resolve => { timer = setTimeout(resolve, remaining); })]);
+            clearTimeout(timer);
+        }
+        return true;
+    }
+
+    /**
+     * Dead-letter webhook deliveries waiting to retry and wait for attempts in flight
+     */
+    async flushWebhooks() {
+        if (this.pendingWebhooks.size === 0) return;
+
+        this.webhookManager.cancelRetries();
+        // An attempt in flight ends within the request timeout
+        const timeout = (this.config.webhooks?.timeout || 10000) + 1000;
+        if (!await this.waitForWebhooks(timeout)) {
+            console.error(`⚠️ ${this.label}${this.pendingWebhooks.size} webhook deliveries still pending at shutdown`);
+        }
+        this.webhookManager.resumeRetries();
+    }
+
+    /**
+     * Render QR codes in the terminal and forward auth events to NATS
+     */
+    handleAuthEvent(type, payload) {
+        if (type === 'qr') {
+            console.log(payload.refresh === 0 ?
+                `\n📱 ${this.label}Scan this QR code with WhatsApp to link the bridge:` :
+                `\n📱 ${this.label}QR code refreshed (${payload.refresh}):`);
+            qrcode.generate(payload.qr, { small: true });
+        }
+
+        if (!this.natsManager.isConnected()) return;
+
+        this.natsManager.publishAuthEvent(type, payload).catch(error => {
+            this.debugLog(`Failed to publish auth event: ${error.message}`);
+        });
+    }
+
+    /**
+     * Handle browser close events
+     */
+    handleBrowserClose() {
+        if (this.isRunning) {
+            console.log(`🔄 ${this.label}Browser closed, stopping bridge...`);
+            this.isRunning = false;
+
+            if (this.recoverySupervisor.isEnabled() && !this.isStopping) {
+                this.recoverBridge();
+                return;
+            }
+
+            this.notifyStopped();
+        }
+    }
+
+    /**
+     * Let the supervisor restart the browser until the bridge runs again or the cap is hit
+     */
+    async recoverBridge() {
+        const recovered = await this.recoverySupervisor.recover(() => this.restartBrowser());
+
+        if (!recovered && !this.isStopping) {
+            this.notifyStopped();
+        }
+    }
+
+    /**
+     * Notify the orchestrator that the account stopped without being asked to
+     */
+    notifyStopped() {
+        if (this.onStoppedCallback && !this.isStopping) {
+            this.onStoppedCallback(this);
+        }
+    }
+
+    /**
+     * Relaunch the browser with the same session, re-authenticate, re-inject and resume polling
+     */
+    async restartBrowser() {
+        this.browserManager.setRunning(false);
+
+        try {
+            await this.browserManager.close();
+        } catch (error) {
+            this.debugLog(`Error closing dead browser: ${error.message}`);
+        }
+
+        if (!await this.browserManager.launch()) return false;
+        if (!await this.browserManager.waitForAuthentication()) return false;
+        if (!await this.browserManager.injectEventListeners()) return false;
+
+        // The account may have been stopped while we were waiting on the browser
+        if (this.isStopping) return false;
+
+        this.isRunning = true;
+        this.browserManager.setRunning(true);
+        this.startEventPolling();
+        return true;
+    }
+
+    /**
+     * Forward recovery lifecycle events to NATS
+     */
+    handleLifecycleEvent(type, payload) {
+        if (!this.natsManager.isConnected()) return;
+
+        this.natsManager.publishLifecycleEvent(type, payload).catch(error => {
+            this.debugLog(`Failed to publish lifecycle event: ${error.message}`);
+        });
+    }
+
+    /**
+     * Reload event transformers, event schemas and the routing table from eventTypes.json
+     * New route subjects are added to the JetStream stream, or publishing to them would fail
+     */
+    async reloadTransformers() {
+        const transformersReloaded = this.eventProcessor.reloadTransformers();
+        this.statsCollector.registerPlugins(this.eventProcessor.getPluginNames());
+        const schemasReloaded = this.eventProcessor.reloadSchemas();
+        const routesReloaded = this.natsManager.reloadRoutes();
+        const filtersReloaded = await this.reloadFilters();
+        this.statsCollector.registerSubjects(this.natsManager.getKnownSubjects());
+        const streamUpdated = await this.natsManager.syncStreamSubjects();
+        return transformersReloaded && schemasReloaded && routesReloaded && filtersReloaded && streamUpdated;
+    }
+
+    /**
+     * Reload filter rules and report their subjects and names in stats
+     * New route rule destinations are added to the JetStream stream
+     */
+    async reloadFilters() {
+        const reloaded = this.eventProcessor.reloadFilters();
+        this.natsManager.setRuleDestinations(this.eventProcessor.getFilterDestinations());
+        this.statsCollector.registerSubjects(this.natsManager.getKnownSubjects());
+        this.statsCollector.registerRules(this.eventProcessor.getFilterRuleNames());
+        const streamUpdated = await this.natsManager.syncStreamSubjects();
+        return reloaded && streamUpdated;
+    }
+
+    /**
+     * Collect browser, NATS and injection health
+     */
+    async getHealth() {
+        const browser = await this.browserManager.isAlive();
+        const injected = browser && await this.browserManager.isInjected();
+        const nats = this.natsManager.isConnected();
+
+        return {
+            healthy: browser && injected && nats,
+            running: this.isRunning,
+            recovering: this.recoverySupervisor.isRecovering,
+            checks: {
+                browser: browser,
+                nats: nats,
+                injection: injected
+            },
+            outboxDepth: this.outboxManager.getDepth()
+        };
+    }
+
+    /**
+     * Collect the stats and gauges MetricsExporter renders for this account
+     */
+    async getMetricsSnapshot() {
+        const browserAlive = await this.browserManager.isAlive();
+
+        return {
+            labels: this.isMultiAccount ? { account: this.id } : {},
+            summary: this.statsCollector.getStatsSummary(),
+            messagesBySubject: this.statsCollector.getMessageCountsBySubject(),
+            histograms: this.statsCollector.getHistograms(),
+            gauges: {
+                browserAlive: browserAlive,
+                natsConnected: this.natsManager.isConnected(),
+                running: this.isRunning,
+                pageQueueDepth: browserAlive ? await this.browserManager.getQueueDepth() : 0
+            }
+        };
+    }
+
+    /**
+     * Show account statistics and connection status
+     */
+    showStatistics() {
+        if (this.isMultiAccount) {
+            console.log(`\n👤 ACCOUNT ${this.id}`);
+        }
+
+        this.statsCollector.showEventStats();
+        this.statsCollector.showMessageStats();
+        this.statsCollector.showRuleStats();
+        this.statsCollector.showPluginStats();
+        this.statsCollector.showWebhookStats();
+        this.statsCollector.showOutboxStats();
+        this.statsCollector.showPerformanceStats();
+
+        // Show connection status
+        console.log('\n🔗 CONNECTION STATUS');
+        console.log(`Browser: ${this.browserManager.isAvailable() ? '✓ Connected' : '✗ Disconnected'}`);
+        console.log(`NATS: ${this.natsManager.isConnected() ? '✓ Connected' : '✗ Disconnected'}`);
+        console.log(`Bridge: ${this.isRunning ? '✓ Running' : '✗ Stopped'}`);
+
+        const natsInfo = this.natsManager.getConnectionInfo();
+        if (natsInfo) {
+            console.log(`NATS Servers: ${natsInfo.servers.join(', ')}`);
+        }
+    }
+
+    /**
+     * Stop polling and close the account's NATS connection and browser
+     */
+    async stop() {
+        this.isStopping = true;
+        this.isRunning = false;
+        this.pollingGeneration++;
+        this.browserManager.setRunning(false);
+        this.recoverySupervisor.cancel();
+        this.recoverySupervisor.reset();
+
+        if (this.outboxTimer) {
+            clearInterval(this.outboxTimer);
+            this.outboxTimer = null;
+        }
+
+        // Deliveries in retry backoff would be lost on exit
+        await this.flushWebhooks();
+
+        // Close NATS connection
+        await this.natsManager.close();
+
+        // Close browser
+        await this.browserManager.close();
+
+        console.log(`✓ ${this.label}Bridge stopped`);
+    }
+
+    /**
+     * Discard the saved WhatsApp session and start again from a fresh QR code
+     */
+    async reauthenticate() {
+        await this.stop();
+
+        const userDataDir = this.config.browser.userDataDir;
+        fs.rmSync(userDataDir, { recursive: true, force: true });
+        console.log(`🗑️ ${this.label}Session data removed from ${userDataDir}`);
+
+        return await this.start();
+    }
+}
+
+module.exports = AccountSession;
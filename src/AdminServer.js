@@ -0,0 +1,136 @@
+const http = require('http');
+
+/**
+ * AdminServer - Handles the embedded HTTP admin and health API
+ * Responsibilities:
+ * - HTTP server lifecycle
+ * - Route registration and dispatch
+ * - Optional bearer token authentication (required for destructive routes)
+ * - JSON responses and error handling
+ */
+class AdminServer {
+    constructor(config, debugLog) {
+        this.config = config;
+        this.debugLog = debugLog;
+        this.settings = config.admin || {};
+        this.server = null;
+        this.routes = new Map();
+    }
+
+    /**
+     * Check if the admin server is enabled
+     */
+    isEnabled() {
+        return !!this.settings.enabled;
+    }
+
+    /**
+     * Register a route handler
+     * Handlers resolve to { status, body } (body is sent as JSON unless contentType is given)
+     * Destructive routes are refused unless an admin token is configured
+     */
+    registerRoute(method, path, handler, options = {}) {
+        this.routes.set(`${method} ${path}`, {
+            handler,
+            public: !!options.public,
+            destructive: !!options.destructive
+        });
+    }
+
+    /**
+     * Start listening on the configured host and port
+     */
+    async start() {
+        if (!this.isEnabled() || this.server) return false;
+
+        const host = this.settings.host || '127.0.0.1';
+        const port = this.settings.port || 8080;
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res);
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        console.log(`✓ Admin API listening on http://${host}:${port}`);
+        return true;
+    }
+
+    /**
+     * Dispatch a request to its route handler
+     */
+    async handleRequest(req, res) {
+        const path = req.url.split('?')[0];
+        const route = this.routes.get(`${req.method} ${path}`);
+
+        if (!route) {
+            const knownPath = [...this.routes.keys()].some(key => key.endsWith(` ${path}`));
+            this.sendJSON(res, knownPath ? 405 : 404, { error: knownPath ? 'method_not_allowed' : 'not_found' });
+            return;
+        }
+
+        if (route.destructive && !this.settings.token) {
+            this.sendJSON(res, 403, {
+                error: 'token_required',
+                message: 'Set admin.token to enable this route'
+            });
+            return;
+        }
+
+        if (!route.public && !this.isAuthorized(req)) {
+            this.sendJSON(res, 401, { error: 'unauthorized' });
+            return;
+        }
+
+        try {
+            const result = await route.handler(req);
+            if (result.contentType) {
+                res.writeHead(result.status || 200, { 'Content-Type': result.contentType });
+                res.end(result.body);
+            } else {
+                this.sendJSON(res, result.status || 200, result.body);
+            }
+        } catch (error) {
+            console.error(`Error handling admin request ${req.method} ${path}:`, error.message);
+            this.sendJSON(res, 500, { error: 'internal_error', message: error.message });
+        }
+
+        this.debugLog(`Admin request: ${req.method} ${path} -> ${res.statusCode}`);
+    }
+
+    /**
+     * Check the bearer token when one is configured
+     */
+    isAuthorized(req) {
+        if (!this.settings.token) return true;
+        return req.headers.authorization === `Bearer ${this.settings.token}`;
+    }
+
+    /**
+     * Send a JSON response
+     */
+    sendJSON(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * Stop the HTTP server
+     */
+    async close() {
+        if (this.server) {
+            const server = this.server;
+            this.server = null;
+            await new Promise(resolve => server.close(resolve));
+            console.log('✓ Admin API stopped');
+        }
+    }
+}
+
+module.exports = AdminServer;
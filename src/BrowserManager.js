@@ -18,6 +18,9 @@ class BrowserManager {
         this.page = null;
         this.isRunning = false;
         this.onBrowserClose = null;
+        this.onAuthEvent = null;
+        this.onEvent = null;
+        this.pushBindingPage = null;
     }
 
     /**
@@ -27,6 +30,54 @@ class BrowserManager {
         this.onBrowserClose = callback;
     }
 
+    /**
+     * Set callback for events pushed from the page
+     */
+    setOnEventCallback(callback) {
+        this.onEvent = callback;
+    }
+
+    /**
+     * Check if push transport is configured
+     */
+    isPushMode() {
+        return this.config.polling.mode === 'push' && !!this.onEvent;
+    }
+
+    /**
+     * Expose the binding store.js uses to push events to Node
+     */
+    async exposePushBinding() {
+        // Bindings survive reloads, so each page only gets one
+        if (this.pushBindingPage === this.page) return;
+
+        await this.page.exposeFunction('whatsappPush', (event) => {
+            this.onEvent(event);
+        });
+        this.pushBindingPage = this.page;
+        this.debugLog('Push binding exposed');
+    }
+
+    /**
+     * Set callback for authentication events (qr, success, failure)
+     */
+    setOnAuthEventCallback(callback) {
+        this.onAuthEvent = callback;
+    }
+
+    /**
+     * Notify authentication event listener
+     */
+    emitAuthEvent(type, payload = {}) {
+        if (this.onAuthEvent) {
+            try {
+                this.onAuthEvent(type, { ...payload, timestamp: new Date().toISOString() });
+            } catch (error) {
+                console.error('Error handling auth event:', error.message);
+            }
+        }
+    }
+
     /**
      * Launch browser with configured settings
      */
@@ -34,26 +85,32 @@ class BrowserManager {
         try {
             console.log('Launching browser...');
             
-            this.browser = await puppeteer.launch({
+            const browser = await puppeteer.launch({
                 executablePath: this.config.browser.executablePath,
                 headless: this.config.browser.headless,
                 userDataDir: this.config.browser.userDataDir,
                 args: this.config.browser.args
             });
+            this.browser = browser;
 
-            this.browser.on('disconnected', () => {
+            // Events from a browser replaced by a restart must not tear down the new one
+            browser.on('disconnected', () => {
+                if (this.browser !== browser) return;
                 console.log('⚠️ Browser disconnected');
                 this.handleBrowserClose();
             });
 
-            this.page = await this.browser.newPage();
+            const page = await browser.newPage();
+            this.page = page;
             
-            this.page.on('close', () => {
+            page.on('close', () => {
+                if (this.page !== page) return;
                 console.log('⚠️ Page closed');
                 this.handleBrowserClose();
             });
 
-            this.page.on('error', (error) => {
+            page.on('error', (error) => {
+                if (this.page !== page) return;
                 console.error('⚠️ Page error:', error.message);
                 this.handleBrowserClose();
             });
@@ -80,21 +137,82 @@ class BrowserManager {
 
     /**
      * Wait for WhatsApp Web authentication
+     * Watches the QR code while waiting and reports each new code through the auth callback
      */
     async waitForAuthentication() {
-        try {
-            console.log('Waiting for authentication...');
-            
-            await this.page.waitForSelector(this.config.whatsapp.selectors.mainApp, {
-                timeout: 300000
-            });
-            
-            console.log('✓ Authentication successful');
-            return true;
-        } catch (error) {
-            console.error('✗ Authentication timeout or failed');
-            return false;
+        const timeout = this.config.whatsapp.authTimeout || 300000;
+        const checkInterval = this.config.whatsapp.qrCheckInterval || 1000;
+        const deadline = Date.now() + timeout;
+        let lastQr = null;
+        let qrCount = 0;
+        let lastError = null;
+
+        console.log('Waiting for authentication...');
+
+        while (Date.now() < deadline) {
+            if (!this.page || this.page.isClosed()) {
+                console.error('✗ Authentication failed: browser page closed');
+                this.emitAuthEvent('failure', { reason: 'page_closed', qrCodesShown: qrCount });
+                return false;
+            }
+
+            // Navigation after the QR scan destroys the execution context; retry on the next check
+            let state = null;
+            try {
+                state = await this.getAuthState();
+                lastError = null;
+            } catch (error) {
+                lastError = error;
+                this.debugLog(`Auth state check failed, retrying: ${error.message}`);
+            }
+
+            if (state && state.authenticated) {
+                console.log('✓ Authentication successful');
+                this.emitAuthEvent('success', { qrCodesShown: qrCount });
+                return true;
+            }
+
+            if (state && state.qr && state.qr !== lastQr) {
+                lastQr = state.qr;
+                qrCount++;
+                this.debugLog(`QR code ${qrCount === 1 ? 'detected' : 'refreshed'}`);
+                this.emitAuthEvent('qr', { qr: state.qr, refresh: qrCount - 1 });
+            }
+
+            await new Promise(resolve => setTimeout(resolve, checkInterval));
         }
+
+        console.error('✗ Authentication timeout or failed');
+        this.emitAuthEvent('failure', {
+            reason: lastError ? lastError.message : 'timeout',
+            qrCodesShown: qrCount
+        });
+        return false;
+    }
+
+    /**
+     * Read the authentication state from the page
+     * Returns { authenticated, qr } where qr is the raw QR payload when shown
+     */
+    async getAuthState() {
+        const selectors = this.config.whatsapp.selectors;
+
+        return await this.page.evaluate((mainApp, qrCode, qrCodeData) => {
+            if (document.querySelector(mainApp)) {
+                return { authenticated: true, qr: null };
+            }
+
+            const qrElement = document.querySelector(qrCode) || document.querySelector(qrCodeData);
+            if (!qrElement) {
+                return { authenticated: false, qr: null };
+            }
+
+            const dataElement = qrElement.closest(qrCodeData) || qrElement.querySelector(qrCodeData) || qrElement;
+            return {
+                authenticated: false,
+                qr: dataElement.getAttribute('data-ref') || null
+            };
+        }, selectors.mainApp, selectors.qrCode, selectors.qrCodeData || 'div[data-ref]');
     }
 
     /**
@@ -111,6 +229,15 @@ class BrowserManager {
                 window.listenersInjected = 0;
             });
 
+            // Push mode: expose the binding before store.js starts emitting
+            if (this.isPushMode()) {
+                try {
+                    await this.exposePushBinding();
+                } catch (error) {
+                    console.error('⚠️ Push binding unavailable, falling back to polling:', error.message);
+                }
+            }
+
             // Load and inject the store.js script directly
             const storeScript = fs.readFileSync(path.resolve('./store.js'), 'utf8');
 
@@ -183,6 +310,52 @@ class BrowserManager {
         }
     }
 
+    /**
+     * Send a text message through the injected Store
+     */
+    async sendTextMessage(chatId, body, quotedMsgId = null) {
+        if (!this.page) {
+            return {
+                success: false,
+                error: { code: 'browser_unavailable', message: 'Browser page not available' }
+            };
+        }
+
+        return await this.page.evaluate(async (chatId, body, quotedMsgId) => {
+            if (!window.whatsappCommands) {
+                return {
+                    success: false,
+                    error: { code: 'not_injected', message: 'Event listeners have not been injected' }
+                };
+            }
+            return await window.whatsappCommands.sendTextMessage(chatId, body, quotedMsgId);
+        }, chatId, body, quotedMsgId);
+    }
+
+    /**
+     * Download and decrypt message media inside the page
+     * Media larger than maxSize is refused before downloading
+     * Returns base64 data on success
+     */
+    async downloadMedia(msgId, maxSize = null) {
+        if (!this.page) {
+            return {
+                success: false,
+                error: { code: 'browser_unavailable', message: 'Browser page not available' }
+            };
+        }
+
+        return await this.page.evaluate(async (msgId, maxSize) => {
+            if (!window.whatsappCommands) {
+                return {
+                    success: false,
+                    error: { code: 'not_injected', message: 'Event listeners have not been injected' }
+                };
+            }
+            return await window.whatsappCommands.downloadMessageMedia(msgId, maxSize);
+        }, msgId, maxSize);
+    }
+
     /**
      * Check if browser is still alive and responsive
      */
@@ -202,6 +375,30 @@ class BrowserManager {
         }
     }
 
+    /**
+     * Get the number of events waiting in the in-page queue
+     */
+    async getQueueDepth() {
+        try {
+            if (!this.page) return 0;
+            return await this.page.evaluate(() => (window.whatsappEvents || []).length);
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Check if the injected listeners are in place on the current page
+     */
+    async isInjected() {
+        try {
+            if (!this.page) return false;
+            return await this.page.evaluate(() => !!window.injectionComplete);
+        } catch (error) {
+            return false;
+        }
+    }
+
     /**
      * Handle browser close events
      */
@@ -248,10 +445,11 @@ class BrowserManager {
      */
     async close() {
         if (this.browser) {
-            await this.browser.close();
-            console.log('✓ Browser closed');
+            const browser = this.browser;
             this.browser = null;
             this.page = null;
+            await browser.close();
+            console.log('✓ Browser closed');
         }
     }
 }
@@ -0,0 +1,193 @@
+/**
+ * CommandLineOptions - Handles command line flags and environment overrides
+ * Responsibilities:
+ * - Parse CLI flags and process-level environment variables
+ * - Apply flag overrides on top of the loaded configuration
+ * - Define process exit codes
+ */
+class CommandLineOptions {
+    constructor(argv = [], env = {}) {
+        this.daemon = false;
+        this.help = false;
+        this.configPath = './config/config.json';
+        this.replay = null;
+        this.speed = 1;
+        this.dryRun = false;
+        this.account = null;
+        this.overrides = {};
+
+        this.readEnvironment(env);
+        this.parseArguments(argv);
+    }
+
+    /**
+     * Read process-level settings from environment variables
+     * Configuration values (WABRIDGE_NATS_SERVERS etc.) are handled by ConfigLoader
+     */
+    readEnvironment(env) {
+        if (env.WABRIDGE_DAEMON !== undefined) this.daemon = this.parseBoolean(env.WABRIDGE_DAEMON, 'WABRIDGE_DAEMON');
+        if (env.WABRIDGE_CONFIG) this.configPath = env.WABRIDGE_CONFIG;
+    }
+
+    /**
+     * Parse command line flags (flags take precedence over environment variables)
+     */
+    parseArguments(argv) {
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            const next = () => {
+                if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+                    throw new Error(`Missing value for ${arg}`);
+                }
+                return argv[++i];
+            };
+
+            switch (arg) {
+                case '-d':
+                case '--daemon':
+                    this.daemon = true;
+                    break;
+                case '-h':
+                case '--help':
+                    this.help = true;
+                    break;
+                case '--config':
+                    this.configPath = next();
+                    break;
+                case '--headless':
+                    this.overrides.headless = true;
+                    break;
+                case '--no-headless':
+                    this.overrides.headless = false;
+                    break;
+                case '--debug':
+                    this.overrides.debug = true;
+                    break;
+                case '--no-debug':
+                    this.overrides.debug = false;
+                    break;
+                case '--nats-servers':
+                    this.overrides.natsServers = this.parseList(next());
+                    break;
+                case '--executable-path':
+                    this.overrides.executablePath = next();
+                    break;
+                case '--user-data-dir':
+                    this.overrides.userDataDir = next();
+                    break;
+                case '--replay':
+                    this.replay = next();
+                    break;
+                case '--speed':
+                    this.speed = this.parseSpeed(next());
+                    break;
+                case '--dry-run':
+                    this.dryRun = true;
+                    break;
+                case '--account':
+                    this.account = next();
+                    break;
+                case '--simulate':
+                    this.overrides.simulate = true;
+                    break;
+                default:
+                    throw new Error(`Unknown option: ${arg}`);
+            }
+        }
+    }
+
+    /**
+     * Parse a boolean flag value
+     */
+    parseBoolean(value, name) {
+        const normalized = String(value).trim().toLowerCase();
+        if (['1', 'true', 'yes', 'on'].includes(normalized)) return true;
+        if (['0', 'false', 'no', 'off', ''].includes(normalized)) return false;
+        throw new Error(`Invalid boolean value for ${name}: ${value}`);
+    }
+
+    /**
+     * Parse the replay speed factor (0 replays without delays)
+     */
+    parseSpeed(value) {
+        const speed = Number(value);
+        if (!Number.isFinite(speed) || speed < 0) {
+            throw new Error(`Invalid value for --speed: ${value}`);
+        }
+        return speed;
+    }
+
+    /**
+     * Parse a comma-separated list
+     */
+    parseList(value) {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    /**
+     * Apply overrides to a loaded configuration object
+     */
+    applyTo(config) {
+        const { headless, debug, natsServers, executablePath, userDataDir, simulate } = this.overrides;
+
+        if (headless !== undefined) config.browser.headless = headless;
+        if (debug !== undefined) config.debug.enabled = debug;
+        if (natsServers) config.nats.servers = natsServers;
+        if (executablePath) config.browser.executablePath = executablePath;
+        if (userDataDir) config.browser.userDataDir = userDataDir;
+        if (simulate) config.simulator.enabled = true;
+
+        // Replay runs without a browser: no media downloads, and replayed events are not recorded again
+        if (this.replay) {
+            config.media.enabled = false;
+            config.recording.enabled = false;
+        }
+
+        return config;
+    }
+
+    /**
+     * Get usage text
+     */
+    static usage() {
+        return [
+            'Usage: node index.js [options]',
+            '',
+            'Options:',
+            '  -d, --daemon               Run without the interactive menu',
+            '  --config <path>            Configuration file (default ./config/config.json)',
+            '  --headless, --no-headless  Override browser.headless',
+            '  --debug, --no-debug        Override debug.enabled',
+            '  --nats-servers <list>      Comma-separated NATS server URLs',
+            '  --executable-path <path>   Browser executable path',
+            '  --user-data-dir <path>     Browser session directory',
+            '  --replay <path>            Replay a recording file or directory without a browser',
+            '  --speed <factor>           Replay speed (default 1 = original timing, 0 = no delays)',
+            '  --dry-run                  Print replayed events instead of publishing them',
+            '  --account <id>             Account whose config is used for replay (default: first)',
+            '  --simulate                 Run against a simulated WhatsApp page instead of a browser',
+            '  -h, --help                 Show this help',
+            '',
+            'Environment:',
+            '  WABRIDGE_DAEMON, WABRIDGE_CONFIG  Same as --daemon and --config',
+            '  WABRIDGE_ENV                      Layer config.<env>.json over the base file',
+            '  WABRIDGE_<SECTION>_<KEY>          Override any config value, e.g. WABRIDGE_NATS_SERVERS,',
+            '                                    WABRIDGE_BROWSER_EXECUTABLE_PATH, WABRIDGE_ADMIN_PORT'
+        ].join('\n');
+    }
+}
+
+/**
+ * Process exit codes used in daemon mode
+ */
+CommandLineOptions.EXIT_CODES = {
+    OK: 0,
+    UNEXPECTED_ERROR: 1,
+    INVALID_CONFIGURATION: 2,
+    BROWSER_LAUNCH_FAILED: 3,
+    AUTHENTICATION_FAILED: 4,
+    NATS_CONNECTION_FAILED: 5,
+    BRIDGE_STOPPED: 6
+};
+
+module.exports = CommandLineOptions;
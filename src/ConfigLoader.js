@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * ConfigLoader - Handles loading and validation of JSON configuration files
+ * Responsibilities:
+ * - Layered files (base file plus <name>.<environment>.json)
+ * - WABRIDGE_* environment variable overrides
+ * - Schema validation with defaults and type checks
+ * - Startup errors that name the offending key
+ */
+class ConfigLoader {
+    constructor(schema, options = {}) {
+        this.schema = schema;
+        this.env = options.env || process.env;
+        this.envPrefix = options.envPrefix || 'WABRIDGE';
+        this.applyEnvironment = options.applyEnvironment !== false;
+    }
+
+    /**
+     * Load, merge, override and validate a configuration file
+     */
+    load(filePath) {
+        const files = [filePath];
+        let config = this.readFile(filePath);
+
+        const environment = this.env.WABRIDGE_ENV || this.env.NODE_ENV;
+        if (environment) {
+            const parsed = path.parse(filePath);
+            const layerPath = path.join(parsed.dir, `${parsed.name}.${environment}${parsed.ext}`);
+            if (fs.existsSync(layerPath)) {
+                config = this.merge(config, this.readFile(layerPath));
+                files.push(layerPath);
+            }
+        }
+
+        const errors = [];
+        const result = this.resolve(this.schema, config, '', errors, this.applyEnvironment);
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid configuration (${files.join(' + ')}):\n  - ${errors.join('\n  - ')}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Read and parse a JSON file, reporting the file on syntax errors
+     */
+    readFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Deep-merge an override layer into a base object (arrays are replaced)
+     */
+    merge(base, override) {
+        if (!this.isPlainObject(base) || !this.isPlainObject(override)) {
+            return override;
+        }
+
+        const result = { ...base };
+        for (const [key, value] of Object.entries(override)) {
+            result[key] = key in base ? this.merge(base[key], value) : value;
+        }
+        return result;
+    }
+
+    /**
+     * Validate a value against a schema node, applying defaults and environment overrides
+     */
+    resolve(node, value, keyPath, errors, allowEnv) {
+        if (allowEnv && node.type !== 'object') {
+            const override = this.readEnvOverride(node, keyPath, errors);
+            if (override !== undefined) {
+                value = override;
+            }
+        }
+
+        if (value === undefined) {
+            if (node.required) {
+                errors.push(`${keyPath}: is required`);
+                return undefined;
+            }
+            if (node.default !== undefined) {
+                return JSON.parse(JSON.stringify(node.default));
+            }
+            if (node.type === 'object' && node.properties) {
+                value = {};
+            } else {
+                return undefined;
+            }
+        }
+
+        switch (node.type) {
+            case 'object':
+                return this.resolveObject(node, value, keyPath, errors, allowEnv);
+            case 'array':
+                return this.resolveArray(node, value, keyPath, errors);
+            default:
+                return this.resolveScalar(node, value, keyPath, errors);
+        }
+    }
+
+    /**
+     * Validate an object node (fixed properties or free-form values)
+     */
+    resolveObject(node, value, keyPath, errors, allowEnv) {
+        if (!this.isPlainObject(value)) {
+            errors.push(`${keyPath || '(root)'}: expected an object, got ${this.describe(value)}`);
+            return undefined;
+        }
+
+        const result = {};
+
+        if (node.values) {
+            for (const [key, entry] of Object.entries(value)) {
+                result[key] = this.resolve(node.values, entry, this.joinPath(keyPath, key), errors, false);
+            }
+            return result;
+        }
+
+        value = this.applyAliases(node, value, keyPath);
+
+        for (const key of Object.keys(value)) {
+            if (!(key in node.properties)) {
+                const suggestion = this.suggestKey(key, Object.keys(node.properties));
+                errors.push(`${this.joinPath(keyPath, key)}: unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+            }
+        }
+
+        for (const [key, propertyNode] of Object.entries(node.properties)) {
+            const resolved = this.resolve(propertyNode, value[key], this.joinPath(keyPath, key), errors, allowEnv);
+            if (resolved !== undefined) {
+                result[key] = resolved;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Rename deprecated keys to their replacement
+     */
+    applyAliases(node, value, keyPath) {
+        if (!node.aliases) return value;
+
+        const result = { ...value };
+        for (const [oldKey, newKey] of Object.entries(node.aliases)) {
+            if (oldKey in result) {
+                console.log(`⚠️ Config key ${this.joinPath(keyPath, oldKey)} is deprecated, use ${this.joinPath(keyPath, newKey)}`);
+                if (!(newKey in result)) {
+                    result[newKey] = result[oldKey];
+                }
+                delete result[oldKey];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Validate an array node
+     */
+    resolveArray(node, value, keyPath, errors) {
+        if (!Array.isArray(value)) {
+            errors.push(`${keyPath}: expected an array, got ${this.describe(value)}`);
+            return undefined;
+        }
+
+        if (!node.items) return value;
+
+        return value.map((item, index) =>
+            this.resolve(node.items, item, `${keyPath}[${index}]`, errors, false)
+        );
+    }
+
+    /**
+     * Validate a string, number, integer or boolean leaf
+     */
+    resolveScalar(node, value, keyPath, errors) {
+        const valid = node.type === 'integer' ?
+            Number.isInteger(value) :
+            node.type === 'number' ? typeof value === 'number' && Number.isFinite(value) : typeof value === node.type;
+
+        if (!valid) {
+            errors.push(`${keyPath}: expected ${node.type}, got ${this.describe(value)}`);
+            return undefined;
+        }
+
+        if (node.enum && !node.enum.includes(value)) {
+            errors.push(`${keyPath}: must be one of ${node.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+            return undefined;
+        }
+
+        if (node.pattern && !new RegExp(node.pattern).test(value)) {
+            errors.push(`${keyPath}: must match ${node.pattern}, got ${JSON.stringify(value)}`);
+            return undefined;
+        }
+
+        if (node.min !== undefined && value < node.min) {
+            errors.push(`${keyPath}: must be at least ${node.min}, got ${value}`);
+            return undefined;
+        }
+
+        return value;
+    }
+
+    /**
+     * Read the environment override for a leaf, if any
+     * WABRIDGE_<PATH> (e.g. nats.servers -> WABRIDGE_NATS_SERVERS) wins over names listed in `env`
+     */
+    readEnvOverride(node, keyPath, errors) {
+        const names = [this.getEnvName(keyPath), ...(node.env || [])];
+        const name = names.find(candidate => this.env[candidate] !== undefined);
+        if (!name) return undefined;
+
+        const raw = this.env[name];
+        try {
+            return this.coerce(node, raw);
+        } catch (error) {
+            errors.push(`${keyPath}: invalid value in ${name} (${error.message})`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Get the derived environment variable name for a key path
+     */
+    getEnvName(keyPath) {
+        const suffix = keyPath
+            .split('.')
+            .map(part => part.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase())
+            .join('_');
+        return `${this.envPrefix}_${suffix}`;
+    }
+
+    /**
+     * Convert an environment string to the node's type
+     */
+    coerce(node, raw) {
+        switch (node.type) {
+            case 'boolean': {
+                const normalized = raw.trim().toLowerCase();
+                if (['1', 'true', 'yes', 'on'].includes(normalized)) return true;
+                if (['0', 'false', 'no', 'off', ''].includes(normalized)) return false;
+                throw new Error(`"${raw}" is not a boolean`);
+            }
+            case 'number':
+            case 'integer': {
+                const number = Number(raw);
+                if (raw.trim() === '' || Number.isNaN(number)) {
+                    throw new Error(`"${raw}" is not a number`);
+                }
+                return number;
+            }
+            case 'array': {
+                if (raw.trim().startsWith('[')) return JSON.parse(raw);
+                const items = raw.split(',').map(item => item.trim()).filter(Boolean);
+                return node.items?.type === 'number' || node.items?.type === 'integer' ? items.map(Number) : items;
+            }
+            default:
+                return raw;
+        }
+    }
+
+    /**
+     * Suggest the closest known key for a typo
+     */
+    suggestKey(key, candidates) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const candidate of candidates) {
+            const distance = this.editDistance(key.toLowerCase(), candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+
+        return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+    }
+
+    /**
+     * Levenshtein distance between two strings
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Append a key to a dotted key path
+     */
+    joinPath(keyPath, key) {
+        return keyPath ? `${keyPath}.${key}` : key;
+    }
+
+    /**
+     * Check if value is a non-array object
+     */
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Describe a value for error messages
+     */
+    describe(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return `${typeof value} ${JSON.stringify(value)}`;
+    }
+}
+
+module.exports = ConfigLoader;
@@ -1,18 +1,34 @@
 const path = require('path');
+const SchemaValidator = require('./SchemaValidator');
+const FilterEngine = require('./FilterEngine');
+const PluginManager = require('./PluginManager');
 
 /**
  * EventProcessor - Handles event processing and transformation
  * Responsibilities:
  * - Event transformation using EventTransformers
+ * - Chained transformer plugins from the plugin directory (PluginManager)
  * - Event filtering and validation
+ * - Rule-based dropping, routing and tagging (FilterEngine)
  * - Event routing decisions
  * - Event data enrichment
+ * - Schema validation before publishing
  */
 class EventProcessor {
     constructor(config, debugLog) {
         this.config = config;
         this.debugLog = debugLog;
         this.eventTransformers = null;
+        this.schemaValidator = new SchemaValidator(config, debugLog);
+        this.filterEngine = new FilterEngine(config, debugLog);
+        this.pluginManager = new PluginManager(config, debugLog);
+    }
+
+    /**
+     * Set callback invoked after every transformer plugin run
+     */
+    setOnPluginRunCallback(callback) {
+        this.pluginManager.setOnPluginRunCallback(callback);
     }
 
     /**
@@ -22,7 +38,7 @@ class EventProcessor {
         try {
             const transformerPath = path.resolve('./templates/eventTransformers.js');
             delete require.cache[transformerPath];
-            const EventTransformers = require('./templates/eventTransformers');
+            const EventTransformers = require(transformerPath);
             return new EventTransformers();
         } catch (error) {
             console.error('Error loading EventTransformers:', error.message);
@@ -37,6 +53,7 @@ class EventProcessor {
         try {
             // Create event data structure
             const eventData = {
+                schema_version: this.schemaValidator.getVersion(),
                 id: Date.now() + Math.random(),
                 timestamp: new Date().toISOString(),
                 data: rawEvent
@@ -58,10 +75,13 @@ class EventProcessor {
             // Check if event should be ignored
             const isIgnored = this.eventTransformers.isIgnored(eventData);
             if (isIgnored) {
+                // Drop rules also apply to the ignored subject, so excluded chats never leave the box
+                const decision = this.filterEngine.evaluate(eventData, rawEvent.type);
                 return {
-                    action: 'ignore',
+                    action: decision.action === 'drop' ? 'drop' : 'ignore',
                     eventData: eventData,
-                    eventType: rawEvent.type
+                    eventType: rawEvent.type,
+                    ruleHits: decision.hits
                 };
             }
 
@@ -80,13 +100,73 @@ class EventProcessor {
                 };
             }
 
+            const wasTransformed = transformedEvent !== eventData;
+            let envelope = wasTransformed ?
+                { schema_version: this.schemaValidator.getVersion(), ...transformedEvent } :
+                transformedEvent;
+
+            // Run the plugin chain, which can enrich, rewrite or drop the event
+            if (this.pluginManager.isEnabled()) {
+                const pluginResult = await this.pluginManager.run(envelope, rawEvent.type);
+                if (pluginResult.event === null) {
+                    if (this.config.debug.enabled) {
+                        console.log(`🚫 Event dropped by plugin ${pluginResult.droppedBy}: ${rawEvent.type}`);
+                    }
+                    return {
+                        action: 'filter',
+                        reason: `dropped_by_plugin:${pluginResult.droppedBy}`,
+                        eventType: rawEvent.type
+                    };
+                }
+                envelope = pluginResult.event;
+            }
+
+            // Apply filter rules before validation so dropped events are never quarantined either
+            const decision = this.filterEngine.evaluate(envelope, rawEvent.type);
+            if (decision.action === 'drop') {
+                return {
+                    action: 'drop',
+                    eventType: rawEvent.type,
+                    ruleHits: decision.hits
+                };
+            }
+            if (decision.tags.length > 0) {
+                envelope.tags = decision.tags;
+            }
+
+            // Snapshot batches list many chats at once: drop rules remove the matching entries
+            this.filterEngine.filterBatchEntries(envelope, rawEvent.type).forEach(hit => {
+                if (!decision.hits.includes(hit)) decision.hits.push(hit);
+            });
+
+            // Events that don't match their published schema are quarantined instead of published
+            if (this.schemaValidator.isEnabled()) {
+                const validation = this.schemaValidator.validate(envelope, !wasTransformed);
+                if (!validation.valid) {
+                    return {
+                        action: 'quarantine',
+                        eventData: {
+                            ...envelope,
+                            validation: {
+                                schema: validation.schema,
+                                errors: validation.errors
+                            }
+                        },
+                        eventType: rawEvent.type,
+                        ruleHits: decision.hits
+                    };
+                }
+            }
+
             // Event is ready for publishing
             return {
                 action: 'publish',
-                eventData: transformedEvent,
+                eventData: envelope,
                 originalEventData: eventData,
                 eventType: rawEvent.type,
-                wasTransformed: transformedEvent !== eventData
+                wasTransformed: wasTransformed,
+                destinations: decision.subjects,
+                ruleHits: decision.hits
             };
 
         } catch (error) {
@@ -138,23 +218,61 @@ class EventProcessor {
     getProcessingStats() {
         return {
             transformersLoaded: !!this.eventTransformers,
-            lastTransformerLoad: this.lastTransformerLoad || null
+            lastTransformerLoad: this.lastTransformerLoad || null,
+            plugins: this.pluginManager.getPluginStates()
         };
     }
 
     /**
-     * Reload event transformers (useful for hot-reloading)
+     * Reload event transformers and plugins (useful for hot-reloading)
      */
     reloadTransformers() {
-        try {
-            this.eventTransformers = this.getEventTransformers();
-            this.lastTransformerLoad = new Date().toISOString();
-            console.log('✓ EventTransformers reloaded');
-            return true;
-        } catch (error) {
-            console.error('✗ Failed to reload EventTransformers:', error.message);
+        // getEventTransformers reports load errors and returns null; keep the working transformers then
+        const eventTransformers = this.getEventTransformers();
+        if (!eventTransformers) {
+            console.error('✗ Failed to reload EventTransformers, keeping the previous ones');
             return false;
         }
+
+        this.eventTransformers = eventTransformers;
+        this.lastTransformerLoad = new Date().toISOString();
+        console.log('✓ EventTransformers reloaded');
+        return this.pluginManager.reload();
+    }
+
+    /**
+     * Reload event schemas from disk
+     */
+    reloadSchemas() {
+        return this.schemaValidator.reload();
+    }
+
+    /**
+     * Reload filter rules from disk
+     */
+    reloadFilters() {
+        return this.filterEngine.reload();
+    }
+
+    /**
+     * Get the names of the active filter rules
+     */
+    getFilterRuleNames() {
+        return this.filterEngine.getRuleNames();
+    }
+
+    /**
+     * Get the names of the loaded transformer plugins in run order
+     */
+    getPluginNames() {
+        return this.pluginManager.getPluginNames();
+    }
+
+    /**
+     * Get the destinations filter route rules can send events to
+     */
+    getFilterDestinations() {
+        return this.filterEngine.getRouteDestinations();
     }
 }
 
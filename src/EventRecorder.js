@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * EventRecorder - Handles recording of raw browser events for offline replay
+ * Responsibilities:
+ * - Append every raw event received from the page to JSONL recording files
+ * - Rotate files by size and keep a bounded number of them
+ * - Read recordings back in order for EventReplayer
+ */
+class EventRecorder {
+    constructor(config, debugLog) {
+        this.config = config;
+        this.debugLog = debugLog;
+        this.settings = config.recording || {};
+        this.directory = this.settings.directory || './recordings';
+        this.currentFile = null;
+        this.currentBytes = 0;
+        this.fileCounter = 0;
+    }
+
+    /**
+     * Check if recording is enabled
+     */
+    isEnabled() {
+        return !!this.settings.enabled;
+    }
+
+    /**
+     * Append a raw event to the current recording file
+     */
+    record(event, transport) {
+        const line = JSON.stringify({
+            recordedAt: Date.now(),
+            transport: transport,
+            event: event
+        }) + '\n';
+        const lineBytes = Buffer.byteLength(line);
+        const segmentMaxBytes = this.settings.segmentMaxBytes || 10485760;
+
+        if (!this.currentFile || this.currentBytes + lineBytes > segmentMaxBytes) {
+            this.rotate();
+        }
+
+        fs.appendFileSync(path.join(this.directory, this.currentFile), line);
+        this.currentBytes += lineBytes;
+    }
+
+    /**
+     * Start a new recording file and remove the oldest ones beyond recording.maxFiles
+     */
+    rotate() {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        this.fileCounter++;
+        this.currentFile = `${String(Date.now()).padStart(15, '0')}-${String(this.fileCounter).padStart(6, '0')}.jsonl`;
+        this.currentBytes = 0;
+        this.debugLog(`Recording raw events to ${path.join(this.directory, this.currentFile)}`);
+
+        const maxFiles = this.settings.maxFiles || 20;
+        const files = EventRecorder.listRecordingFiles(this.directory);
+        // The new file is not created until its first append, so keep one slot free for it
+        files.slice(0, Math.max(0, files.length - (maxFiles - 1))).forEach(file => {
+            fs.unlinkSync(file);
+            this.debugLog(`Removed old recording ${file}`);
+        });
+    }
+
+    /**
+     * List the recording files of a directory, oldest first
+     */
+    static listRecordingFiles(directory) {
+        if (!fs.existsSync(directory)) return [];
+
+        return fs.readdirSync(directory)
+            .filter(file => file.endsWith('.jsonl'))
+            .sort()
+            .map(file => path.join(directory, file));
+    }
+
+    /**
+     * Read the entries of a recording file, or of every recording file in a directory
+     * Returns [{ recordedAt, transport, event }] in recording order
+     */
+    static readRecording(recordingPath) {
+        if (!fs.existsSync(recordingPath)) {
+            throw new Error(`Recording not found: ${recordingPath}`);
+        }
+
+        const files = fs.statSync(recordingPath).isDirectory() ?
+            EventRecorder.listRecordingFiles(recordingPath) :
+            [recordingPath];
+        const entries = [];
+
+        files.forEach(file => {
+            const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+            lines.forEach((line, index) => {
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry && entry.event) {
+                        entries.push(entry);
+                    }
+                } catch (error) {
+                    console.error(`Skipping corrupt recording entry ${path.basename(file)}:${index + 1}:`, error.message);
+                }
+            });
+        });
+
+        return entries;
+    }
+}
+
+module.exports = EventRecorder;
@@ -0,0 +1,130 @@
+const EventRecorder = require('./EventRecorder');
+
+/**
+ * EventReplayer - Handles offline replay of recorded raw events
+ * Responsibilities:
+ * - Read recordings written by EventRecorder
+ * - Feed events through an account's pipeline (EventProcessor, NATS, webhooks, outbox)
+ *   or through EventProcessor only, printing the results (dry run)
+ * - Keep the original spacing between events, optionally accelerated
+ *
+ * No browser is needed: events go straight to AccountSession.processEvent().
+ */
+class EventReplayer {
+    constructor(session, options = {}) {
+        this.session = session;
+        this.recordingPath = options.recordingPath;
+        this.speed = options.speed === undefined ? 1 : options.speed;
+        this.dryRun = !!options.dryRun;
+        this.counts = {};
+    }
+
+    /**
+     * Replay the recording
+     * Returns { total, byAction }
+     */
+    async run() {
+        const entries = EventRecorder.readRecording(this.recordingPath);
+        const speedLabel = this.speed > 0 ? `${this.speed}x speed` : 'no delay';
+        console.log(`▶ Replaying ${entries.length} events from ${this.recordingPath} (${speedLabel}${this.dryRun ? ', dry run' : ''})`);
+
+        if (!this.dryRun) {
+            await this.connectSinks();
+        }
+
+        for (let i = 0; i < entries.length; i++) {
+            if (i > 0) {
+                await this.waitBetween(entries[i - 1], entries[i]);
+            }
+
+            if (this.dryRun) {
+                await this.printEvent(entries[i].event, i + 1, entries.length);
+            } else {
+                await this.session.processEvent(entries[i].event);
+                this.count('processed');
+            }
+        }
+
+        if (!this.dryRun) {
+            await this.session.waitForWebhooks();
+        }
+
+        console.log(`✓ Replay finished: ${entries.length} events`);
+        return { total: entries.length, byAction: { ...this.counts } };
+    }
+
+    /**
+     * Connect to NATS; events are queued in the outbox when NATS is unreachable and the outbox is enabled
+     */
+    async connectSinks() {
+        try {
+            await this.session.natsManager.connect();
+        } catch (error) {
+            if (!this.session.outboxManager.isEnabled()) {
+                throw error;
+            }
+            console.log(`⚠️ NATS unavailable (${error.message}), replayed events will be queued in the outbox`);
+        }
+    }
+
+    /**
+     * Wait for the recorded gap between two events, divided by the speed factor
+     */
+    async waitBetween(previous, next) {
+        if (!(this.speed > 0)) return;
+
+        const gap = (next.recordedAt - previous.recordedAt) / this.speed;
+        if (gap > 0) {
+            await new Promise(resolve => setTimeout(resolve, gap));
+        }
+    }
+
+    /**
+     * Run an event through EventProcessor and print where it would go
+     */
+    async printEvent(event, position, total) {
+        const result = await this.session.eventProcessor.processEvent(event);
+        this.count(result.action);
+
+        console.log(`\n[${position}/${total}] ${event.type} → ${result.action}${this.describeTarget(result)}`);
+        if (result.reason) {
+            console.log(`  Reason: ${result.reason}`);
+        }
+        if (result.error) {
+            console.log(`  Error: ${result.error}`);
+        }
+        if (result.ruleHits && result.ruleHits.length > 0) {
+            console.log(`  Filter rules: ${result.ruleHits.join(', ')}`);
+        }
+        if (result.eventData) {
+            console.log(JSON.stringify(result.eventData, null, 2));
+        }
+    }
+
+    /**
+     * Describe the subjects a processing result would be published to
+     */
+    describeTarget(result) {
+        const nats = this.session.config.nats;
+
+        switch (result.action) {
+            case 'publish':
+                return ` ${this.session.natsManager.determineSubjects(result.eventType, result.eventData, result.destinations).join(', ')}`;
+            case 'ignore':
+                return ` ${nats.ignoredSubject}`;
+            case 'quarantine':
+                return ` ${nats.quarantineSubject}`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Count a replayed event by action
+     */
+    count(action) {
+        this.counts[action] = (this.counts[action] || 0) + 1;
+    }
+}
+
+module.exports = EventReplayer;
@@ -0,0 +1,216 @@
+const ConfigLoader = require('./ConfigLoader');
+const { eventTypesSchema } = require('./configSchema');
+
+/**
+ * EventRouter - Handles the declarative routing table from eventTypes.json
+ * Responsibilities:
+ * - Match event types against route glob patterns (first matching route wins)
+ * - Resolve route destinations to NATS subjects
+ * - Build per-chat subjects from nats.subjectTemplate
+ * - List the subjects a JetStream stream must cover
+ */
+class EventRouter {
+    constructor(config, debugLog, routesFile = './config/eventTypes.json') {
+        this.config = config;
+        this.debugLog = debugLog;
+        this.routesFile = routesFile;
+        this.routes = this.loadRoutes();
+        this.ruleDestinations = [];
+    }
+
+    /**
+     * Set the destinations filter route rules can send events to
+     * They are listed with the routed subjects so stats and the stream cover them
+     */
+    setRuleDestinations(destinations) {
+        this.ruleDestinations = destinations || [];
+    }
+
+    /**
+     * Load and compile the routing table
+     * Destinations without a dot name a subject in the nats config section (e.g. contactSubject)
+     */
+    loadRoutes() {
+        const { routes } = new ConfigLoader(eventTypesSchema, { applyEnvironment: false }).load(this.routesFile);
+
+        return routes.map((route, index) => {
+            route.subjects.forEach(destination => {
+                if (!destination.includes('.') &&
+                    (!/[sS]ubject$/.test(destination) || typeof this.config.nats[destination] !== 'string')) {
+                    throw new Error(`routes[${index}]: unknown subject name "${destination}" (expected a nats config key or a dotted subject)`);
+                }
+            });
+
+            return {
+                match: route.match,
+                patterns: route.match.map(pattern => this.globToRegExp(pattern)),
+                subjects: route.subjects
+            };
+        });
+    }
+
+    /**
+     * Reload the routing table, keeping the current one if the file is invalid
+     */
+    reload() {
+        try {
+            this.routes = this.loadRoutes();
+            this.debugLog(`Routing table reloaded (${this.routes.length} routes)`);
+            return true;
+        } catch (error) {
+            console.error('Error reloading routing table:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Convert a glob pattern (* and ?) to an anchored regular expression
+     */
+    globToRegExp(pattern) {
+        const source = pattern
+            .split('')
+            .map(char => {
+                if (char === '*') return '.*';
+                if (char === '?') return '.';
+                return char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+            })
+            .join('');
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * Find the route for an event by raw or transformed type
+     */
+    findRoute(eventType, eventData) {
+        const types = [eventType, eventData?.data?.type].filter(Boolean);
+        return this.routes.find(route =>
+            route.patterns.some(pattern => types.some(type => pattern.test(type)))
+        ) || null;
+    }
+
+    /**
+     * Resolve the destination subjects for an event
+     * Unrouted events go to the main subject (or the per-chat template)
+     * Explicit destinations (from a filter rule) replace the routing table lookup
+     */
+    resolve(eventType, eventData, destinations = null) {
+        if (!destinations) {
+            const route = this.findRoute(eventType, eventData);
+            destinations = route ? route.subjects : ['subject'];
+        }
+        const subjects = destinations.map(destination => this.resolveDestination(destination, eventType, eventData));
+        return [...new Set(subjects)];
+    }
+
+    /**
+     * Resolve a single route destination
+     */
+    resolveDestination(destination, eventType, eventData) {
+        if (destination === 'subject' && this.config.nats.subjectTemplate) {
+            const templatedSubject = this.buildTemplatedSubject(eventData, eventType);
+            if (templatedSubject) {
+                return templatedSubject;
+            }
+        }
+
+        if (!destination.includes('.')) {
+            if (typeof this.config.nats[destination] !== 'string') {
+                throw new Error(`Unknown subject name: ${destination}`);
+            }
+            return this.config.nats[destination];
+        }
+
+        return this.prefixSubject(destination);
+    }
+
+    /**
+     * Swap the first token of a literal subject for the account prefix in multi-account mode
+     */
+    prefixSubject(subject) {
+        const prefix = this.config.account?.subjectPrefix;
+        return prefix ? subject.replace(/^[^.]+/, prefix) : subject;
+    }
+
+    /**
+     * Fill nats.subjectTemplate, e.g. whatsapp.events.{chat_type}.{chat_id}.{event_type}
+     * Returns null for events without chat fields
+     */
+    buildTemplatedSubject(eventData, eventType) {
+        const fields = this.getSubjectFields(eventData, eventType);
+        if (!fields) return null;
+
+        return this.config.nats.subjectTemplate.replace(/\{(\w+)\}/g, (match, name) =>
+            this.toSubjectToken(fields[name])
+        );
+    }
+
+    /**
+     * Get the template fields from a transformed chat or status event
+     */
+    getSubjectFields(eventData, eventType) {
+        const data = eventData?.data;
+        if (!data) return null;
+
+        const type = data.type || eventType;
+
+        if (data.status_id !== undefined) {
+            return { chat_type: 'status', chat_id: data.status_author_number, event_type: type };
+        }
+
+        if (data.isGroup !== undefined) {
+            return {
+                chat_type: data.isGroup ? 'group' : 'direct',
+                chat_id: data.isGroup ? data.group_id : (data.fromMe ? data.to_number : data.from_number),
+                event_type: type
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Make a value safe to use as a single subject token
+     */
+    toSubjectToken(value) {
+        const token = String(value ?? '').replace(/[.*>\s]/g, '_');
+        return token || 'unknown';
+    }
+
+    /**
+     * Get the fixed leading tokens of nats.subjectTemplate (e.g. whatsapp.events)
+     */
+    getSubjectTemplatePrefix() {
+        const template = this.config.nats.subjectTemplate;
+        if (!template) return null;
+
+        const tokens = [];
+        for (const token of template.split('.')) {
+            if (token.includes('{')) break;
+            tokens.push(token);
+        }
+        return tokens.length > 0 ? tokens.join('.') : null;
+    }
+
+    /**
+     * Get every fixed subject the routing table can publish to
+     */
+    getSubjects() {
+        const subjects = [this.config.nats.subject];
+        const destinations = [...this.ruleDestinations];
+        this.routes.forEach(route => destinations.push(...route.subjects));
+        destinations.forEach(destination => {
+            subjects.push(destination.includes('.') ? this.prefixSubject(destination) : this.config.nats[destination]);
+        });
+        return [...new Set(subjects)];
+    }
+
+    /**
+     * Get the subjects a JetStream stream must cover, including the per-chat template prefix
+     */
+    getStreamSubjects() {
+        const templatePrefix = this.getSubjectTemplatePrefix();
+        return templatePrefix ? [...this.getSubjects(), `${templatePrefix}.>`] : this.getSubjects();
+    }
+}
+
+module.exports = EventRouter;
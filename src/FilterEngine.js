@@ -0,0 +1,343 @@
+const ConfigLoader = require('./ConfigLoader');
+const { filterRulesSchema } = require('./configSchema');
+
+// Snapshot events listing many chats, and the key holding their entries
+const BATCH_ENTRY_KEYS = {
+    chats_initial: 'chats',
+    contacts_initial: 'contacts',
+    presence_initial: 'presences'
+};
+
+/**
+ * FilterEngine - Handles rule-based filtering of events before they leave the bridge
+ * Responsibilities:
+ * - Load filter rules from the rules file (filters.file) and reload them on demand
+ * - Match events by chat, sender, group vs direct, fromMe, type, mimetype and body
+ * - Decide whether an event is dropped, routed to specific subjects or tagged
+ *
+ * Rules are evaluated in order: tag rules accumulate, the first drop or route rule ends evaluation.
+ * Snapshot batches (chats_initial, ...) are also filtered entry by entry, so dropped chats never leave the box.
+ */
+class FilterEngine {
+    constructor(config, debugLog) {
+        this.config = config;
+        this.debugLog = debugLog;
+        this.settings = config.filters || {};
+        this.rules = this.isEnabled() ? this.loadRules() : [];
+    }
+
+    /**
+     * Check if rule filtering is enabled
+     */
+    isEnabled() {
+        return !!this.settings.enabled;
+    }
+
+    /**
+     * Load and compile the rules file
+     */
+    loadRules() {
+        const file = this.settings.file || './config/filters.json';
+        const { rules } = new ConfigLoader(filterRulesSchema, { applyEnvironment: false }).load(file);
+        const names = new Set();
+
+        const compiled = rules.map((rule, index) => {
+            const label = `rules[${index}] (${rule.name})`;
+
+            if (names.has(rule.name)) {
+                throw new Error(`${label}: duplicate rule name`);
+            }
+            names.add(rule.name);
+
+            if (rule.action === 'route' && !(rule.subjects && rule.subjects.length > 0)) {
+                throw new Error(`${label}: route rules need "subjects"`);
+            }
+            if (rule.action === 'tag' && !(rule.tags && rule.tags.length > 0)) {
+                throw new Error(`${label}: tag rules need "tags"`);
+            }
+            (rule.subjects || []).forEach(destination => {
+                if (!destination.includes('.') &&
+                    (!/[sS]ubject$/.test(destination) || typeof this.config.nats[destination] !== 'string')) {
+                    throw new Error(`${label}: unknown subject name "${destination}" (expected a nats config key or a dotted subject)`);
+                }
+            });
+
+            return {
+                name: rule.name,
+                enabled: rule.enabled,
+                action: rule.action,
+                subjects: rule.subjects || [],
+                tags: rule.tags || [],
+                match: this.compileConditions(rule.match, label),
+                except: Object.keys(rule.except).length > 0 ? this.compileConditions(rule.except, label) : null
+            };
+        }).filter(rule => rule.enabled);
+
+        this.debugLog(`Loaded ${compiled.length} filter rules from ${file}`);
+        return compiled;
+    }
+
+    /**
+     * Reload the rules file, keeping the current rules if it is invalid
+     */
+    reload() {
+        if (!this.isEnabled()) return true;
+
+        try {
+            this.rules = this.loadRules();
+            console.log(`✓ Filter rules reloaded (${this.rules.length} rules)`);
+            return true;
+        } catch (error) {
+            console.error('✗ Failed to reload filter rules:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get the names of the loaded rules
+     */
+    getRuleNames() {
+        return this.rules.map(rule => rule.name);
+    }
+
+    /**
+     * Get every destination route rules can send events to
+     */
+    getRouteDestinations() {
+        const destinations = [];
+        this.rules.forEach(rule => destinations.push(...rule.subjects));
+        return [...new Set(destinations)];
+    }
+
+    /**
+     * Precompile the patterns of a condition set
+     */
+    compileConditions(conditions, label) {
+        const compiled = { ...conditions };
+
+        if (conditions.chatIds) compiled.chatIds = conditions.chatIds.map(id => this.normalizeId(id));
+        if (conditions.senders) compiled.senders = conditions.senders.map(id => this.normalizeId(id));
+        if (conditions.types) compiled.types = conditions.types.map(pattern => this.globToRegExp(pattern));
+        if (conditions.mimetypes) compiled.mimetypes = conditions.mimetypes.map(pattern => this.globToRegExp(pattern));
+
+        if (conditions.body !== undefined) {
+            try {
+                compiled.body = new RegExp(conditions.body, conditions.bodyFlags || '');
+            } catch (error) {
+                throw new Error(`${label}: invalid body regex (${error.message})`);
+            }
+        }
+
+        return compiled;
+    }
+
+    /**
+     * Evaluate the rules against an event
+     * Returns { action: 'pass' | 'drop' | 'route', subjects, tags, hits }
+     */
+    evaluate(eventData, eventType) {
+        const decision = { action: 'pass', subjects: null, tags: [], hits: [] };
+        if (this.rules.length === 0) return decision;
+
+        const fields = this.getFields(eventData, eventType);
+
+        for (const rule of this.rules) {
+            if (!this.matches(rule.match, fields)) continue;
+            if (rule.except && this.matches(rule.except, fields)) continue;
+
+            decision.hits.push(rule.name);
+
+            if (rule.action === 'tag') {
+                rule.tags.forEach(tag => {
+                    if (!decision.tags.includes(tag)) decision.tags.push(tag);
+                });
+                continue;
+            }
+
+            decision.action = rule.action;
+            if (rule.action === 'route') {
+                decision.subjects = rule.subjects;
+            }
+            this.debugLog(`Filter rule ${rule.name} matched ${eventType}: ${rule.action}`);
+            break;
+        }
+
+        return decision;
+    }
+
+    /**
+     * Remove the entries of a snapshot batch that a drop rule matches
+     * Returns the names of the rules that removed entries
+     */
+    filterBatchEntries(eventData, eventType) {
+        const data = eventData?.data;
+        const key = BATCH_ENTRY_KEYS[data?.type];
+        const entries = key ? data.data?.[key] : null;
+        if (!Array.isArray(entries) || this.rules.length === 0) return [];
+
+        const hits = new Set();
+        const kept = entries.filter(entry => {
+            const rule = this.findDecidingRule(this.getEntryFields(entry, eventType, data.type));
+            if (rule?.action !== 'drop') return true;
+
+            hits.add(rule.name);
+            return false;
+        });
+
+        if (kept.length !== entries.length) {
+            this.debugLog(`Filter rules removed ${entries.length - kept.length} entries from ${data.type}`);
+            eventData.data = { ...data, data: { ...data.data, [key]: kept } };
+        }
+        return [...hits];
+    }
+
+    /**
+     * Get the first drop or route rule matching the fields (tag rules do not decide)
+     */
+    findDecidingRule(fields) {
+        return this.rules.find(rule =>
+            rule.action !== 'tag' &&
+            this.matches(rule.match, fields) &&
+            !(rule.except && this.matches(rule.except, fields))
+        ) || null;
+    }
+
+    /**
+     * Check if every condition in a set holds
+     */
+    matches(conditions, fields) {
+        if (conditions.chatIds && !conditions.chatIds.includes(fields.chatId)) return false;
+        if (conditions.senders && !conditions.senders.includes(fields.sender)) return false;
+        if (conditions.isGroup !== undefined && conditions.isGroup !== fields.isGroup) return false;
+        if (conditions.fromMe !== undefined && conditions.fromMe !== fields.fromMe) return false;
+
+        if (conditions.types &&
+            !conditions.types.some(pattern => fields.types.some(type => pattern.test(type)))) {
+            return false;
+        }
+
+        if (conditions.mimetypes &&
+            !(fields.mimetype && conditions.mimetypes.some(pattern => pattern.test(fields.mimetype)))) {
+            return false;
+        }
+
+        if (conditions.body && !(typeof fields.body === 'string' && conditions.body.test(fields.body))) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Extract the fields rules match on from a transformed or raw event envelope
+     */
+    getFields(eventData, eventType) {
+        const data = eventData?.data || {};
+        const raw = data.data && typeof data.data === 'object' ? data.data : null;
+
+        // Raw store event (untransformed, ignored or quarantined)
+        if (raw) {
+            const remote = raw.id?.remote;
+            const isGroup = remote?.server === 'g.us' ||
+                [remote?._serialized, remote?.user, raw.from?.user].some(id => String(id || '').endsWith('@g.us'));
+
+            return {
+                chatId: this.normalizeId(remote?.user || raw.from?.user),
+                sender: this.normalizeId(isGroup ? (raw.id?.participant?.user || raw.author?.user) : raw.from?.user),
+                isGroup: isGroup,
+                fromMe: raw.id?.fromMe === true,
+                types: [eventType, data.type, raw.type].filter(Boolean),
+                mimetype: raw.mimetype || null,
+                body: raw.body
+            };
+        }
+
+        // Transformed status event
+        if (data.status_id !== undefined) {
+            return {
+                chatId: this.normalizeId(data.status_author_number),
+                sender: this.normalizeId(data.status_author_number),
+                isGroup: false,
+                fromMe: data.fromMe === true,
+                types: [eventType, data.type].filter(Boolean),
+                mimetype: this.getMimetype(data),
+                body: data.body
+            };
+        }
+
+        // Transformed chat lifecycle event
+        if (data.chat_id !== undefined) {
+            return {
+                chatId: this.normalizeId(data.chat_id),
+                sender: null,
+                isGroup: data.isGroup === true,
+                fromMe: false,
+                types: [eventType, data.type].filter(Boolean),
+                mimetype: null,
+                body: undefined
+            };
+        }
+
+        // Transformed chat message
+        return {
+            chatId: this.normalizeId(data.isGroup ? data.group_id : (data.fromMe ? data.to_number : data.from_number)),
+            sender: this.normalizeId(data.from_number),
+            isGroup: data.isGroup === true,
+            fromMe: data.fromMe === true,
+            types: [eventType, data.type].filter(Boolean),
+            mimetype: this.getMimetype(data),
+            body: data.body
+        };
+    }
+
+    /**
+     * Extract the fields rules match on from one chat, contact or presence of a snapshot batch
+     */
+    getEntryFields(entry, eventType, batchType) {
+        const id = entry?.id?._serialized || entry?.id?.user || (typeof entry?.id === 'string' ? entry.id : null);
+        const isGroup = entry?.isGroup === true || entry?.id?.server === 'g.us' || String(id || '').endsWith('@g.us');
+        const chatId = this.normalizeId(id);
+
+        return {
+            chatId: chatId,
+            sender: isGroup ? null : chatId,
+            isGroup: isGroup,
+            fromMe: false,
+            types: [eventType, batchType].filter(Boolean),
+            mimetype: null,
+            body: undefined
+        };
+    }
+
+    /**
+     * Get the mimetype of a transformed event (format holds the mimetype for media)
+     */
+    getMimetype(data) {
+        if (data.media?.mimetype) return data.media.mimetype;
+        return typeof data.format === 'string' && data.format.includes('/') ? data.format : null;
+    }
+
+    /**
+     * Strip the WhatsApp server suffix so ids can be written with or without it
+     */
+    normalizeId(id) {
+        return id ? String(id).replace(/@.*$/, '') : null;
+    }
+
+    /**
+     * Convert a glob pattern (* and ?) to an anchored regular expression
+     */
+    globToRegExp(pattern) {
+        const source = pattern
+            .split('')
+            .map(char => {
+                if (char === '*') return '.*';
+                if (char === '?') return '.';
+                return char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+            })
+            .join('');
+        return new RegExp(`^${source}$`);
+    }
+}
+
+module.exports = FilterEngine;
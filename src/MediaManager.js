@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * MediaManager - Handles local storage of message media
+ * Responsibilities:
+ * - Deciding which events carry downloadable media
+ * - Content-addressed storage keyed by filehash
+ * - Integrity checks against the WhatsApp filehash
+ */
+class MediaManager {
+    constructor(config, debugLog) {
+        this.config = config;
+        this.debugLog = debugLog;
+        this.settings = config.media || {};
+        this.mediaTypes = this.settings.types || ['image', 'video', 'audio', 'document', 'sticker', 'ptt', 'ptv'];
+    }
+
+    /**
+     * Check if media download is enabled
+     */
+    isEnabled() {
+        return !!this.settings.enabled;
+    }
+
+    /**
+     * Get the largest media size, in bytes, that is downloaded and stored
+     */
+    getMaxSize() {
+        return this.settings.maxSize || 104857600;
+    }
+
+    /**
+     * Check if a raw event carries media that should be downloaded
+     * Media whose announced size exceeds the limit is skipped
+     */
+    shouldDownload(event) {
+        if (!this.isEnabled() || event.type !== 'message_create') return false;
+
+        const msg = event.data;
+        return !!(msg &&
+                  msg.id?._serialized &&
+                  this.mediaTypes.includes(msg.type) &&
+                  msg.mediaKey &&
+                  msg.directPath &&
+                  msg.filehash &&
+                  !this.exceedsMaxSize(msg));
+    }
+
+    /**
+     * Check if a message announces media larger than the size limit
+     */
+    exceedsMaxSize(msg) {
+        if (!msg.size || msg.size <= this.getMaxSize()) return false;
+
+        this.debugLog(`Skipping media for ${msg.id._serialized}: ${msg.size} bytes exceeds limit of ${this.getMaxSize()} bytes`);
+        return true;
+    }
+
+    /**
+     * Build the content-addressed path for a filehash
+     */
+    getMediaPath(filehash, mimetype) {
+        const hashHex = Buffer.from(filehash, 'base64').toString('hex');
+        const directory = this.settings.directory || './media';
+        return path.join(directory, hashHex.slice(0, 2), `${hashHex}${this.getExtension(mimetype)}`);
+    }
+
+    /**
+     * Derive a file extension from the mimetype
+     */
+    getExtension(mimetype) {
+        const subtype = (mimetype || '').split('/')[1]?.split(';')[0].trim();
+        return subtype && /^[a-z0-9]{1,10}$/i.test(subtype) ? `.${subtype.toLowerCase()}` : '.bin';
+    }
+
+    /**
+     * Write downloaded media to disk and return its descriptor
+     */
+    storeMedia(base64Data, filehash, mimetype) {
+        const buffer = Buffer.from(base64Data, 'base64');
+        const maxSize = this.getMaxSize();
+
+        if (buffer.length > maxSize) {
+            throw new Error(`Media size ${buffer.length} exceeds limit of ${maxSize} bytes`);
+        }
+
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+        const expectedHash = Buffer.from(filehash, 'base64').toString('hex');
+        if (sha256 !== expectedHash) {
+            throw new Error(`Media hash mismatch: expected ${expectedHash}, got ${sha256}`);
+        }
+
+        const mediaPath = this.getMediaPath(filehash, mimetype);
+
+        if (fs.existsSync(mediaPath)) {
+            this.debugLog(`Media already stored: ${mediaPath}`);
+        } else {
+            fs.mkdirSync(path.dirname(mediaPath), { recursive: true });
+            const tempPath = `${mediaPath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, buffer);
+            fs.renameSync(tempPath, mediaPath);
+            this.debugLog(`Media stored: ${mediaPath} (${buffer.length} bytes)`);
+        }
+
+        return {
+            path: mediaPath,
+            size: buffer.length,
+            sha256: sha256,
+            mimetype: mimetype || null
+        };
+    }
+}
+
+module.exports = MediaManager;
@@ -0,0 +1,172 @@
+/**
+ * MetricsExporter - Handles Prometheus text exposition of bridge metrics
+ * Responsibilities:
+ * - Mapping StatsCollector counters to Prometheus counters
+ * - Rendering processing and latency histograms
+ * - Rendering component health gauges
+ * - Labelling samples by account when several accounts are running
+ */
+class MetricsExporter {
+    constructor(config, debugLog) {
+        this.config = config;
+        this.debugLog = debugLog;
+        this.prefix = config.metrics?.prefix || 'whatsapp_bridge';
+    }
+
+    /**
+     * Render all metrics in Prometheus text format
+     * snapshots: [{ labels, summary, messagesBySubject, histograms, gauges }], one per account
+     */
+    render(snapshots) {
+        const families = new Map();
+
+        snapshots.forEach(snapshot => {
+            this.collect(snapshot).forEach(family => {
+                if (!families.has(family.name)) {
+                    families.set(family.name, { ...family, samples: [] });
+                }
+                const samples = family.samples.map(([suffix, labels, value]) =>
+                    [suffix, { ...snapshot.labels, ...labels }, value]);
+                families.get(family.name).samples.push(...samples);
+            });
+        });
+
+        const lines = [];
+        families.forEach(family => this.writeFamily(lines, family));
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Build the metric families for a single snapshot
+     */
+    collect(snapshot) {
+        const { summary, messagesBySubject, histograms, gauges } = snapshot;
+        const families = [];
+        const metric = (name, type, help, samples) => {
+            families.push({ name, type, help, samples: samples.map(([labels, value]) => ['', labels, value]) });
+        };
+
+        metric('events_total', 'counter', 'Events received from WhatsApp by type',
+            Object.entries(summary.events.byType).map(([type, count]) => [{ type }, count]));
+        metric('events_errors_total', 'counter', 'Events that failed processing',
+            [[{}, summary.events.errors]]);
+        metric('events_filtered_total', 'counter', 'Events filtered out by transformers',
+            [[{}, summary.events.filtered]]);
+        metric('events_ignored_total', 'counter', 'Events routed to the ignored subject',
+            [[{}, summary.events.ignored]]);
+        metric('events_quarantined_total', 'counter', 'Events that failed schema validation',
+            [[{}, summary.events.quarantined]]);
+        metric('events_dropped_total', 'counter', 'Events dropped by filter rules',
+            [[{}, summary.events.dropped]]);
+        metric('events_received_total', 'counter', 'Events received from the page by transport', [
+            [{ transport: 'push' }, summary.transport.pushed],
+            [{ transport: 'poll' }, summary.transport.polled]
+        ]);
+
+        metric('messages_published_total', 'counter', 'Messages published to NATS by subject',
+            Object.entries(messagesBySubject).map(([subject, count]) => [{ subject }, count]));
+        metric('messages_errors_total', 'counter', 'NATS publish failures',
+            [[{}, summary.messages.errors]]);
+        metric('filter_rule_hits_total', 'counter', 'Events matched by filter rules',
+            Object.entries(summary.rules.byRule).map(([rule, count]) => [{ rule }, count]));
+
+        const pluginSamples = [];
+        Object.entries(summary.plugins.byPlugin).forEach(([plugin, stats]) => {
+            pluginSamples.push([{ plugin, outcome: 'passed' }, stats.runs - stats.dropped - stats.errors]);
+            pluginSamples.push([{ plugin, outcome: 'dropped' }, stats.dropped]);
+            pluginSamples.push([{ plugin, outcome: 'error' }, stats.errors]);
+        });
+        metric('plugin_runs_total', 'counter', 'Transformer plugin runs by plugin and outcome', pluginSamples);
+        metric('plugin_processing_seconds_total', 'counter', 'Time spent in each transformer plugin',
+            Object.entries(summary.plugins.byPlugin).map(([plugin, stats]) => [{ plugin }, stats.totalTime / 1000]));
+
+        const webhookSamples = [];
+        Object.entries(summary.webhooks.byEndpoint).forEach(([endpoint, counts]) => {
+            webhookSamples.push([{ endpoint, result: 'delivered' }, counts.delivered]);
+            webhookSamples.push([{ endpoint, result: 'failed' }, counts.failed]);
+        });
+        metric('webhook_deliveries_total', 'counter', 'Webhook deliveries by endpoint and result', webhookSamples);
+        metric('webhook_retries_total', 'counter', 'Webhook delivery retries',
+            [[{}, summary.webhooks.retries]]);
+        metric('webhook_dead_letters_total', 'counter', 'Webhook deliveries written to the dead-letter file',
+            [[{}, summary.webhooks.deadLettered]]);
+
+        metric('outbox_depth', 'gauge', 'Events waiting in the outbox',
+            [[{}, summary.outbox.depth]]);
+        metric('outbox_events_total', 'counter', 'Outbox activity by action', [
+            [{ action: 'queued' }, summary.outbox.queued],
+            [{ action: 'replayed' }, summary.outbox.replayed],
+            [{ action: 'dropped' }, summary.outbox.dropped]
+        ]);
+
+        families.push(this.histogramFamily('event_processing_seconds', 'Time spent processing an event', histograms.processing));
+        families.push(this.histogramFamily('event_latency_seconds', 'Time from in-page emit to publish', histograms.latency));
+
+        metric('browser_alive', 'gauge', 'Whether the browser is alive (1) or not (0)',
+            [[{}, gauges.browserAlive ? 1 : 0]]);
+        metric('nats_connected', 'gauge', 'Whether NATS is connected (1) or not (0)',
+            [[{}, gauges.natsConnected ? 1 : 0]]);
+        metric('bridge_running', 'gauge', 'Whether the bridge is running (1) or not (0)',
+            [[{}, gauges.running ? 1 : 0]]);
+        metric('page_queue_depth', 'gauge', 'Events waiting in the in-page queue',
+            [[{}, gauges.pageQueueDepth]]);
+        metric('uptime_seconds', 'gauge', 'Seconds since statistics were last reset',
+            [[{}, summary.uptime]]);
+
+        return families;
+    }
+
+    /**
+     * Build a histogram family from { buckets, counts, sum, count } (bucket bounds in seconds)
+     */
+    histogramFamily(name, help, histogram) {
+        const samples = [];
+
+        let cumulative = 0;
+        histogram.buckets.forEach((bound, index) => {
+            cumulative += histogram.counts[index];
+            samples.push(['_bucket', { le: String(bound) }, cumulative]);
+        });
+        samples.push(['_bucket', { le: '+Inf' }, histogram.count]);
+        samples.push(['_sum', {}, histogram.sum]);
+        samples.push(['_count', {}, histogram.count]);
+
+        return { name, type: 'histogram', help, samples };
+    }
+
+    /**
+     * Write a metric family with its samples
+     */
+    writeFamily(lines, family) {
+        const fullName = `${this.prefix}_${family.name}`;
+        lines.push(`# HELP ${fullName} ${family.help}`);
+        lines.push(`# TYPE ${fullName} ${family.type}`);
+        family.samples.forEach(([suffix, labels, value]) => {
+            lines.push(`${fullName}${suffix}${this.formatLabels(labels)} ${this.formatValue(value)}`);
+        });
+    }
+
+    /**
+     * Format a label set
+     */
+    formatLabels(labels) {
+        const entries = Object.entries(labels);
+        if (entries.length === 0) return '';
+
+        const formatted = entries.map(([key, value]) => {
+            const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+            return `${key}="${escaped}"`;
+        });
+        return `{${formatted.join(',')}}`;
+    }
+
+    /**
+     * Format a sample value
+     */
+    formatValue(value) {
+        const number = Number(value);
+        return Number.isFinite(number) ? String(number) : '0';
+    }
+}
+
+module.exports = MetricsExporter;
@@ -1,4 +1,15 @@
-const { connect, StringCodec } = require('nats');
+const { connect, StringCodec, headers, nanos } = require('nats');
+const EventRouter = require('./EventRouter');
+
+// Publish errors that can succeed once the connection is back
+const TRANSIENT_ERROR_CODES = new Set([
+    'CONNECTION_CLOSED',
+    'CONNECTION_DRAINING',
+    'CONNECTION_REFUSED',
+    'CONNECTION_TIMEOUT',
+    'DISCONNECT',
+    'TIMEOUT'
+]);
 
 /**
  * NATSManager - Handles all NATS connection and publishing operations
@@ -6,26 +17,51 @@ const { connect, StringCodec } = require('nats');
  * - NATS connection management
  * - Message publishing to different subjects
  * - Connection health monitoring
- * - Subject routing logic
+ * - Subject routing through the EventRouter table
  */
 class NATSManager {
     constructor(config, debugLog) {
         this.config = config;
         this.debugLog = debugLog;
         this.connection = null;
+        this.disconnected = false;
         this.sc = StringCodec();
+        this.commandSubscriptions = [];
+        this.jetstream = null;
+        this.router = new EventRouter(config, debugLog);
     }
 
     /**
-     * Initialize NATS connection
+     * Initialize NATS connection, closing any previous one
      */
     async connect() {
+        // An open connection would keep its command subscriptions and run every command twice
+        if (this.connection) {
+            try {
+                await this.close();
+            } catch (error) {
+                this.debugLog(`Error closing previous NATS connection: ${error.message}`);
+            }
+        }
+
+        // Subscriptions from a previous connection are gone with it
+        this.connection = null;
+        this.disconnected = false;
+        this.commandSubscriptions = [];
+        this.jetstream = null;
+
         try {
             this.connection = await connect({ 
                 servers: this.config.nats.servers,
                 maxReconnectAttempts: this.config.nats.maxReconnect
             });
             console.log('✓ NATS connection established');
+            this.monitorStatus(this.connection);
+
+            if (this.isJetStreamEnabled()) {
+                await this.setupJetStream();
+            }
+
             return true;
         } catch (error) {
             console.error('✗ NATS connection failed:', error.message);
@@ -34,28 +70,59 @@ class NATSManager {
     }
 
     /**
-     * Publish event to appropriate NATS subject
+     * Follow disconnects and reconnects of a connection
+     * nats.js buffers publishes while reconnecting, and drops them if it gives up
+     */
+    async monitorStatus(connection) {
+        try {
+            for await (const status of connection.status()) {
+                if (connection !== this.connection) return;
+
+                if (status.type === 'disconnect') {
+                    this.disconnected = true;
+                    console.log('⚠️ NATS disconnected, reconnecting...');
+                } else if (status.type === 'reconnect') {
+                    this.disconnected = false;
+                    console.log('✓ NATS reconnected');
+                }
+            }
+        } catch (error) {
+            this.debugLog(`NATS status monitor stopped: ${error.message}`);
+        }
+    }
+
+    /**
+     * Publish event to the subjects its route resolves to
+     * destinations overrides the routing table (set by filter route rules)
      */
-    async publishEvent(eventData, eventType) {
+    async publishEvent(eventData, eventType, destinations = null) {
         if (!this.connection) {
             throw new Error('NATS connection not available');
         }
 
         try {
-            const targetSubject = this.determineSubject(eventType);
-            
-            await this.connection.publish(
-                targetSubject, 
-                this.sc.encode(JSON.stringify(eventData))
-            );
+            const targetSubjects = this.determineSubjects(eventType, eventData, destinations);
+            const fanOut = targetSubjects.length > 1;
 
-            if (this.config.debug.enabled) {
-                console.log(`📤 Event published to ${targetSubject}: ${eventType}`);
+            let duplicate = false;
+            let sequence = null;
+            for (const targetSubject of targetSubjects) {
+                // Fanned-out copies need their own dedup id or JetStream would drop them as duplicates
+                const ack = await this.publish(targetSubject, eventData, eventType, fanOut ? targetSubject : null);
+                duplicate = duplicate || !!ack?.duplicate;
+                sequence = sequence ?? ack?.seq ?? null;
+
+                if (this.config.debug.enabled) {
+                    console.log(`📤 Event published to ${targetSubject}: ${eventType}${ack?.duplicate ? ' (duplicate)' : ''}`);
+                }
             }
 
             return {
-                subject: targetSubject,
-                success: true
+                subject: targetSubjects[0],
+                subjects: targetSubjects,
+                success: true,
+                duplicate: duplicate,
+                sequence: sequence
             };
         } catch (error) {
             console.error('Error publishing event to NATS:', error.message);
@@ -64,47 +131,229 @@ class NATSManager {
     }
 
     /**
-     * Determine the appropriate NATS subject based on event type
+     * Publish authentication event (qr, success, failure) for remote operators
      */
-    determineSubject(eventType) {
-        // Check if this is a contact-related event
-        if (this.isContactEvent(eventType)) {
-            return this.config.nats.contactSubject;
+    async publishAuthEvent(type, payload) {
+        if (!this.connection) {
+            throw new Error('NATS connection not available');
         }
-        
-        // Check if this is a presence-related event
-        if (this.isPresenceEvent(eventType)) {
-            return this.config.nats.precenseSubject || 'whatsapp.precense';
+
+        const subject = `${this.config.nats.authSubject || 'whatsapp.auth'}.${type}`;
+
+        try {
+            this.connection.publish(subject, this.sc.encode(JSON.stringify({ type, ...payload })));
+            this.debugLog(`Auth event published to ${subject}`);
+
+            return {
+                subject: subject,
+                success: true
+            };
+        } catch (error) {
+            console.error('Error publishing auth event to NATS:', error.message);
+            throw error;
         }
-        
-        // Default subject for message events
-        return this.config.nats.subject;
     }
 
     /**
-     * Check if event type is contact-related
+     * Publish bridge lifecycle event (restarting, recovered, gave up)
+     */
+    async publishLifecycleEvent(type, payload) {
+        if (!this.connection) {
+            throw new Error('NATS connection not available');
+        }
+
+        const subject = this.config.nats.lifecycleSubject || 'whatsapp.lifecycle';
+
+        try {
+            this.connection.publish(subject, this.sc.encode(JSON.stringify({ type, ...payload })));
+            this.debugLog(`Lifecycle event published to ${subject}: ${type}`);
+
+            return {
+                subject: subject,
+                success: true
+            };
+        } catch (error) {
+            console.error('Error publishing lifecycle event to NATS:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Publish encoded event data, waiting for a JetStream ack when enabled
+     * Returns the PubAck in JetStream mode, null otherwise
+     */
+    async publish(subject, eventData, eventType, dedupSuffix = null) {
+        const payload = this.sc.encode(JSON.stringify(eventData));
+
+        if (!this.jetstream) {
+            this.connection.publish(subject, payload);
+            return null;
+        }
+
+        const msgId = this.buildMessageId(eventData, eventType, dedupSuffix);
+        const options = {
+            timeout: this.config.nats.jetstream.ackTimeout || 5000
+        };
+
+        if (msgId) {
+            const msgHeaders = headers();
+            msgHeaders.set('Nats-Msg-Id', msgId);
+            options.headers = msgHeaders;
+        }
+
+        return await this.jetstream.publish(subject, payload, options);
+    }
+
+    /**
+     * Build the deduplication id from the WhatsApp message id and event type
+     * Events without a message id (contacts, presence) are not deduplicated
+     */
+    buildMessageId(eventData, eventType, suffix = null) {
+        const data = eventData?.data;
+        const rawMessageKey = data?.data?.id?.remote ? data.data.id._serialized : null;
+        const whatsappId = data?.message_id || data?.status_key || data?.status_id || rawMessageKey;
+
+        if (!whatsappId) return null;
+
+        const type = data?.type || eventType;
+        return [whatsappId, type, ...this.getOccurrenceParts(data), suffix]
+            .filter(part => part !== null && part !== undefined && part !== '')
+            .join(':');
+    }
+
+    /**
+     * Get the fields telling apart events that repeat for the same WhatsApp id,
+     * so JetStream does not drop them as duplicates
+     */
+    getOccurrenceParts(data) {
+        // Each viewer of a status sends its own receipt
+        if (data?.status_id) return [data.reader_number];
+        // message_id is the message reacted to; every reactor can react and change their reaction
+        if (data?.type?.startsWith('reaction_')) return [data.from_number, data.reaction_time];
+        // Every edit of a message is its own revision
+        if (data?.type === 'message_edited') return [data.edit_message_id || data.edit_time];
+        // message_id is the poll; vote times are in seconds, so the selection tells quick changes apart
+        if (data?.type === 'poll_vote') {
+            return [data.from_number, data.vote_time, (data.selected_options || []).join(',') || 'none'];
+        }
+        return [];
+    }
+
+    /**
+     * Check if JetStream publishing is enabled
+     */
+    isJetStreamEnabled() {
+        return !!this.config.nats.jetstream?.enabled;
+    }
+
+    /**
+     * Get the subjects the JetStream stream must cover
      */
-    isContactEvent(eventType) {
-        const contactEventTypes = [
-            'contact_add',
-            'contact_change', 
-            'contact_remove',
-            'contacts_initial'
-        ];
-        return contactEventTypes.includes(eventType);
+    getStreamSubjects() {
+        const configured = this.config.nats.jetstream.subjects;
+        if (configured && configured.length > 0) return configured;
+
+        return [...new Set([
+            ...this.router.getStreamSubjects(),
+            this.config.nats.ignoredSubject,
+            this.config.nats.quarantineSubject
+        ])].filter(Boolean);
     }
 
     /**
-     * Check if event type is presence-related
+     * Create or verify the JetStream stream covering the configured subjects
      */
-    isPresenceEvent(eventType) {
-        const presenceEventTypes = [
-            'presence_add',
-            'presence_change',
-            'presence_remove',
-            'presence_initial'
-        ];
-        return presenceEventTypes.includes(eventType);
+    async setupJetStream() {
+        await this.ensureStream();
+        this.jetstream = this.connection.jetstream();
+        console.log('✓ JetStream publishing enabled');
+    }
+
+    /**
+     * Create the stream, or add the subjects it does not cover yet
+     */
+    async ensureStream() {
+        const jsConfig = this.config.nats.jetstream;
+        const streamName = jsConfig.stream || 'WHATSAPP';
+        const subjects = this.getStreamSubjects();
+        const jsm = await this.connection.jetstreamManager();
+
+        let info = null;
+        try {
+            info = await jsm.streams.info(streamName);
+        } catch (error) {
+            if (error.code !== '404' && !/stream not found/i.test(error.message)) {
+                throw error;
+            }
+        }
+
+        if (!info) {
+            await jsm.streams.add({
+                name: streamName,
+                subjects: subjects,
+                duplicate_window: nanos(jsConfig.duplicateWindow || 120000)
+            });
+            console.log(`✓ JetStream stream ${streamName} created`);
+        } else {
+            const missing = subjects.filter(subject => !info.config.subjects.includes(subject));
+            if (missing.length > 0) {
+                await jsm.streams.update(streamName, {
+                    ...info.config,
+                    subjects: [...info.config.subjects, ...missing]
+                });
+                console.log(`✓ JetStream stream ${streamName} updated with subjects: ${missing.join(', ')}`);
+            } else {
+                this.debugLog(`JetStream stream ${streamName} verified`);
+            }
+        }
+    }
+
+    /**
+     * Determine the NATS subjects for an event from the routing table
+     */
+    determineSubjects(eventType, eventData, destinations = null) {
+        return this.router.resolve(eventType, eventData, destinations);
+    }
+
+    /**
+     * Get every fixed subject events can be published to (routed subjects and the ignored subject)
+     */
+    getKnownSubjects() {
+        return [...new Set([
+            ...this.router.getSubjects(),
+            this.config.nats.ignoredSubject,
+            this.config.nats.quarantineSubject
+        ])].filter(Boolean);
+    }
+
+    /**
+     * Extend the JetStream stream with subjects added since it was set up (route or filter reloads)
+     * Returns false if the stream could not be updated
+     */
+    async syncStreamSubjects() {
+        if (!this.jetstream || !this.isConnected()) return true;
+
+        try {
+            await this.ensureStream();
+            return true;
+        } catch (error) {
+            console.error('✗ Failed to update JetStream stream subjects:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Reload the routing table from eventTypes.json
+     */
+    reloadRoutes() {
+        return this.router.reload();
+    }
+
+    /**
+     * Set the destinations filter route rules can publish to
+     */
+    setRuleDestinations(destinations) {
+        this.router.setRuleDestinations(destinations);
     }
 
     /**
@@ -116,10 +365,7 @@ class NATSManager {
         }
 
         try {
-            await this.connection.publish(
-                this.config.nats.ignoredSubject,
-                this.sc.encode(JSON.stringify(eventData))
-            );
+            const ack = await this.publish(this.config.nats.ignoredSubject, eventData, eventData.data.type);
 
             if (this.config.debug.enabled) {
                 console.log(`🔀 Event redirected to ignore: ${eventData.data.type}`);
@@ -127,7 +373,10 @@ class NATSManager {
 
             return {
                 subject: this.config.nats.ignoredSubject,
-                success: true
+                subjects: [this.config.nats.ignoredSubject],
+                success: true,
+                duplicate: !!ack?.duplicate,
+                sequence: ack?.seq ?? null
             };
         } catch (error) {
             console.error('Error publishing ignored event to NATS:', error.message);
@@ -135,11 +384,121 @@ class NATSManager {
         }
     }
 
+    /**
+     * Publish an event that failed schema validation to the quarantine subject
+     */
+    async publishQuarantinedEvent(eventData) {
+        if (!this.connection) {
+            throw new Error('NATS connection not available');
+        }
+
+        const subject = this.config.nats.quarantineSubject || 'whatsapp.quarantine';
+
+        try {
+            const ack = await this.publish(subject, eventData, eventData.data?.type, 'quarantine');
+
+            if (this.config.debug.enabled) {
+                console.log(`🚧 Event quarantined: ${eventData.data?.type} (${eventData.validation.errors.length} errors)`);
+            }
+
+            return {
+                subject: subject,
+                subjects: [subject],
+                success: true,
+                duplicate: !!ack?.duplicate,
+                sequence: ack?.seq ?? null
+            };
+        } catch (error) {
+            console.error('Error publishing quarantined event to NATS:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Subscribe to command subjects and reply with each handler's result
+     * Handlers are keyed by command name, e.g. { send_text: async (payload) => {...} }
+     */
+    subscribeToCommands(handlers) {
+        if (!this.connection) {
+            throw new Error('NATS connection not available');
+        }
+
+        const prefix = this.config.nats.commandSubjectPrefix || 'whatsapp.commands';
+
+        for (const [command, handler] of Object.entries(handlers)) {
+            const subject = `${prefix}.${command}`;
+            const subscription = this.connection.subscribe(subject, {
+                callback: (err, msg) => {
+                    if (err) {
+                        console.error(`Error on command subscription ${subject}:`, err.message);
+                        return;
+                    }
+                    this.handleCommand(command, handler, msg);
+                }
+            });
+
+            this.commandSubscriptions.push(subscription);
+            this.debugLog(`Subscribed to command subject: ${subject}`);
+        }
+    }
+
+    /**
+     * Decode a command request, run its handler and send the reply
+     */
+    async handleCommand(command, handler, msg) {
+        let response;
+
+        try {
+            const payload = JSON.parse(this.sc.decode(msg.data));
+            response = await handler(payload);
+        } catch (error) {
+            response = {
+                success: false,
+                error: {
+                    code: error instanceof SyntaxError ? 'invalid_payload' : (error.code || 'internal_error'),
+                    message: error.message
+                }
+            };
+        }
+
+        if (this.config.debug.enabled) {
+            console.log(`📥 Command ${command} handled: ${response.success ? 'ok' : response.error.code}`);
+        }
+
+        if (msg.reply) {
+            msg.respond(this.sc.encode(JSON.stringify(response)));
+        }
+    }
+
+    /**
+     * Unsubscribe from all command subjects
+     */
+    unsubscribeCommands() {
+        this.commandSubscriptions.forEach(subscription => subscription.unsubscribe());
+        this.commandSubscriptions = [];
+    }
+
+    /**
+     * Check if a publish error is worth retrying later (connection loss or timeout)
+     * Anything else, such as an oversized payload or a subject no stream covers, fails again on retry
+     */
+    isTransientError(error) {
+        if (!this.isConnected()) return true;
+        return TRANSIENT_ERROR_CODES.has(error?.code);
+    }
+
     /**
      * Check if NATS connection is available
      */
     isConnected() {
-        return !!(this.connection && !this.connection.isClosed());
+        return !!(this.connection && !this.connection.isClosed() && !this.disconnected);
+    }
+
+    /**
+     * Check if nats.js is trying to restore a dropped connection
+     */
+    isReconnecting() {
+        return !!(this.connection && !this.connection.isClosed() && this.disconnected);
     }
 
     /**
@@ -149,14 +508,10 @@ class NATSManager {
         if (!this.connection) return null;
         
         return {
-            connected: !this.connection.isClosed(),
+            connected: this.isConnected(),
             servers: this.config.nats.servers,
-            subjects: {
-                main: this.config.nats.subject,
-                contact: this.config.nats.contactSubject,
-                ignored: this.config.nats.ignoredSubject,
-                presence: this.config.nats.precenseSubject
-            }
+            jetstream: !!this.jetstream,
+            subjects: this.getKnownSubjects()
         };
     }
 
@@ -165,9 +520,11 @@ class NATSManager {
      */
     async close() {
         if (this.connection) {
+            this.unsubscribeCommands();
             await this.connection.close();
             console.log('✓ NATS connection closed');
             this.connection = null;
+            this.jetstream = null;
         }
     }
 }
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * OutboxManager - Handles durable storage of events that could not be published
+ * Responsibilities:
+ * - Append-only journal segments on disk
+ * - Ordered replay once the broker is reachable again
+ * - Size bounds and retention of queued events
+ * - Outbox depth tracking
+ */
+class OutboxManager {
+    constructor(config, debugLog) {
+        this.config = config;
+        this.debugLog = debugLog;
+        this.settings = config.outbox || {};
+        this.directory = this.settings.directory || './outbox';
+        this.segments = new Map();
+        this.currentSegment = null;
+        this.segmentCounter = 0;
+        this.replaying = false;
+
+        if (this.isEnabled()) {
+            this.loadSegments();
+        }
+    }
+
+    /**
+     * Check if the outbox is enabled
+     */
+    isEnabled() {
+        return !!this.settings.enabled;
+    }
+
+    /**
+     * Scan existing journal segments left over from a previous run
+     */
+    loadSegments() {
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        const files = fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.jsonl'))
+            .sort();
+
+        for (const file of files) {
+            const content = fs.readFileSync(path.join(this.directory, file), 'utf8');
+            const lines = content.split('\n').filter(Boolean).length;
+            this.segments.set(file, { lines, bytes: Buffer.byteLength(content) });
+        }
+
+        if (this.getDepth() > 0) {
+            console.log(`📦 Outbox contains ${this.getDepth()} pending events`);
+        }
+    }
+
+    /**
+     * Append an event to the current journal segment
+     * Returns the number of older events dropped to respect the size bound
+     */
+    enqueue(kind, eventData, eventType, destinations = null) {
+        const line = JSON.stringify({
+            kind: kind,
+            eventType: eventType,
+            eventData: eventData,
+            ...(destinations && { destinations }),
+            queuedAt: Date.now()
+        }) + '\n';
+        const lineBytes = Buffer.byteLength(line);
+        const segmentMaxBytes = this.settings.segmentMaxBytes || 1048576;
+
+        let segment = this.currentSegment && this.segments.get(this.currentSegment);
+        if (!segment || segment.bytes + lineBytes > segmentMaxBytes) {
+            this.currentSegment = this.createSegmentName();
+            segment = { lines: 0, bytes: 0 };
+            this.segments.set(this.currentSegment, segment);
+        }
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.appendFileSync(path.join(this.directory, this.currentSegment), line);
+        segment.lines++;
+        segment.bytes += lineBytes;
+
+        this.debugLog(`Event queued in outbox: ${eventType} (depth ${this.getDepth()})`);
+
+        return this.enforceSizeLimit();
+    }
+
+    /**
+     * Replay queued events in order through the given publish function
+     * Stops at the first failure isRetryable accepts, keeping the remaining events on disk;
+     * other failures are logged and dropped so they cannot block the events behind them
+     */
+    async replay(publishFn, isRetryable = () => true) {
+        if (this.replaying) {
+            return { replayed: 0, expired: 0, failed: 0, completed: false };
+        }
+
+        this.replaying = true;
+        // Seal the current segment so new events are appended to a fresh file
+        this.currentSegment = null;
+
+        const retention = this.settings.retention || 604800000;
+        const cutoff = Date.now() - retention;
+        let replayed = 0;
+        let expired = 0;
+        let failed = 0;
+
+        try {
+            let segmentName;
+            while ((segmentName = this.getOldestSealedSegment())) {
+                const segmentPath = path.join(this.directory, segmentName);
+                const lines = fs.readFileSync(segmentPath, 'utf8').split('\n').filter(Boolean);
+
+                for (let i = 0; i < lines.length; i++) {
+                    let entry;
+                    try {
+                        entry = JSON.parse(lines[i]);
+                    } catch (error) {
+                        console.error(`Skipping corrupt outbox entry in ${segmentName}:`, error.message);
+                        continue;
+                    }
+
+                    if (entry.queuedAt < cutoff) {
+                        expired++;
+                        continue;
+                    }
+
+                    try {
+                        await publishFn(entry);
+                        replayed++;
+                    } catch (error) {
+                        if (!isRetryable(error)) {
+                            console.error(`✗ Dropping outbox entry ${entry.eventType} that cannot be published:`, error.message);
+                            failed++;
+                            continue;
+                        }
+                        this.debugLog(`Outbox replay stopped: ${error.message}`);
+                        this.rewriteSegment(segmentName, lines.slice(i));
+                        return { replayed, expired, failed, completed: false };
+                    }
+                }
+
+                fs.unlinkSync(segmentPath);
+                this.segments.delete(segmentName);
+            }
+
+            return { replayed, expired, failed, completed: true };
+        } finally {
+            this.replaying = false;
+        }
+    }
+
+    /**
+     * Get the oldest segment that is not currently being written
+     */
+    getOldestSealedSegment() {
+        const names = [...this.segments.keys()].sort();
+        if (names.length === 0) return null;
+
+        if (names[0] === this.currentSegment) {
+            // Seal it now so replay can continue in order
+            this.currentSegment = null;
+        }
+        return names[0];
+    }
+
+    /**
+     * Replace a segment with the entries that are still pending
+     */
+    rewriteSegment(segmentName, lines) {
+        const segmentPath = path.join(this.directory, segmentName);
+        const content = lines.map(line => line + '\n').join('');
+        const tempPath = `${segmentPath}.tmp`;
+
+        fs.writeFileSync(tempPath, content);
+        fs.renameSync(tempPath, segmentPath);
+        this.segments.set(segmentName, { lines: lines.length, bytes: Buffer.byteLength(content) });
+    }
+
+    /**
+     * Drop whole segments whose newest entry is older than the retention period
+     * Returns the number of events dropped
+     */
+    prune() {
+        const retention = this.settings.retention || 604800000;
+        const cutoff = Date.now() - retention;
+        let dropped = 0;
+
+        for (const [segmentName, segment] of this.segments) {
+            if (segmentName === this.currentSegment || this.replaying) continue;
+
+            const segmentPath = path.join(this.directory, segmentName);
+            if (fs.statSync(segmentPath).mtimeMs < cutoff) {
+                fs.unlinkSync(segmentPath);
+                this.segments.delete(segmentName);
+                dropped += segment.lines;
+            }
+        }
+
+        if (dropped > 0) {
+            console.log(`🗑️ Outbox retention dropped ${dropped} expired events`);
+        }
+        return dropped;
+    }
+
+    /**
+     * Drop the oldest sealed segments until the outbox fits its size bound
+     * Returns the number of events dropped
+     */
+    enforceSizeLimit() {
+        const maxBytes = this.settings.maxBytes || 104857600;
+        let dropped = 0;
+
+        while (this.getSize() > maxBytes && !this.replaying) {
+            const oldest = [...this.segments.keys()].sort()[0];
+            if (!oldest || oldest === this.currentSegment) break;
+
+            dropped += this.segments.get(oldest).lines;
+            fs.unlinkSync(path.join(this.directory, oldest));
+            this.segments.delete(oldest);
+        }
+
+        if (dropped > 0) {
+            console.error(`⚠️ Outbox full, dropped ${dropped} oldest events`);
+        }
+        return dropped;
+    }
+
+    /**
+     * Create a lexicographically ordered segment file name
+     */
+    createSegmentName() {
+        this.segmentCounter++;
+        return `${String(Date.now()).padStart(15, '0')}-${String(this.segmentCounter).padStart(6, '0')}.jsonl`;
+    }
+
+    /**
+     * Check if there are events waiting to be replayed
+     */
+    hasPending() {
+        return this.getDepth() > 0;
+    }
+
+    /**
+     * Get number of queued events
+     */
+    getDepth() {
+        let depth = 0;
+        for (const segment of this.segments.values()) {
+            depth += segment.lines;
+        }
+        return depth;
+    }
+
+    /**
+     * Get total size of the journal in bytes
+     */
+    getSize() {
+        let size = 0;
+        for (const segment of this.segments.values()) {
+            size += segment.bytes;
+        }
+        return size;
+    }
+}
+
+module.exports = OutboxManager;
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * PluginManager - Handles the chain of transformer plugins from the plugin directory
+ * Responsibilities:
+ * - Load plugin modules exporting transform(event, ctx) in the configured order
+ * - Watch the plugin directory and reload plugins when files change
+ * - Run the chain: each plugin can enrich, rewrite or drop the event
+ * - Isolate plugins that throw by disabling them until their next reload
+ * - Report the duration and outcome of every plugin run
+ *
+ * A plugin returns a new event to rewrite it, null to drop it,
+ * or nothing to keep the event it received (including in-place changes).
+ */
+class PluginManager {
+    constructor(config, debugLog) {
+        this.config = config;
+        this.debugLog = debugLog;
+        this.settings = config.plugins || {};
+        this.plugins = [];
+        this.watcher = null;
+        this.reloadTimer = null;
+        this.onPluginRunCallback = null;
+
+        if (this.isEnabled()) {
+            this.plugins = this.loadPlugins();
+            this.startWatching();
+        }
+    }
+
+    /**
+     * Check if transformer plugins are enabled
+     */
+    isEnabled() {
+        return !!this.settings.enabled;
+    }
+
+    /**
+     * Set callback invoked after every plugin run with { name, duration (ms), outcome, error }
+     */
+    setOnPluginRunCallback(callback) {
+        this.onPluginRunCallback = callback;
+    }
+
+    /**
+     * Get the absolute path of the plugin directory
+     */
+    getDirectory() {
+        return path.resolve(this.settings.directory || './plugins');
+    }
+
+    /**
+     * List plugin files in run order
+     * With plugins.order set, only the listed plugins run; otherwise every file runs alphabetically
+     */
+    getPluginFiles() {
+        const directory = this.getDirectory();
+        if (!fs.existsSync(directory)) {
+            this.debugLog(`Plugin directory ${directory} not found, no plugins loaded`);
+            return [];
+        }
+
+        const available = fs.readdirSync(directory)
+            .filter(file => file.endsWith('.js'))
+            .map(file => path.basename(file, '.js'))
+            .sort();
+
+        const order = this.settings.order || [];
+        if (order.length === 0) {
+            return available.map(name => ({ name, file: path.join(directory, `${name}.js`) }));
+        }
+
+        order.forEach(name => {
+            if (!available.includes(name)) {
+                console.warn(`⚠️ Plugin ${name} is listed in plugins.order but ${name}.js was not found in ${directory}`);
+            }
+        });
+
+        return order
+            .filter(name => available.includes(name))
+            .map(name => ({ name, file: path.join(directory, `${name}.js`) }));
+    }
+
+    /**
+     * Load every plugin module, skipping those that fail to load
+     */
+    loadPlugins() {
+        const plugins = [];
+
+        this.getPluginFiles().forEach(({ name, file }) => {
+            try {
+                delete require.cache[require.resolve(file)];
+                const plugin = require(file);
+
+                if (typeof plugin.transform !== 'function') {
+                    throw new Error('module does not export transform(event, ctx)');
+                }
+
+                plugins.push({ name, file, plugin, disabled: false, lastError: null });
+            } catch (error) {
+                console.error(`✗ Failed to load plugin ${name}:`, error.message);
+                plugins.push({ name, file, plugin: null, disabled: true, lastError: error.message });
+            }
+        });
+
+        this.debugLog(`Loaded ${plugins.filter(entry => !entry.disabled).length} transformer plugins from ${this.getDirectory()}`);
+        return plugins;
+    }
+
+    /**
+     * Reload all plugins from disk, re-enabling plugins that were disabled after an error
+     */
+    reload() {
+        if (!this.isEnabled()) return true;
+
+        try {
+            this.plugins = this.loadPlugins();
+            console.log(`✓ Transformer plugins reloaded (${this.getPluginNames().join(', ') || 'none'})`);
+            return this.plugins.every(entry => !entry.disabled);
+        } catch (error) {
+            console.error('✗ Failed to reload transformer plugins:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Watch the plugin directory and reload shortly after files change
+     */
+    startWatching() {
+        if (this.settings.watch === false || this.watcher) return;
+
+        const directory = this.getDirectory();
+        if (!fs.existsSync(directory)) return;
+
+        try {
+            this.watcher = fs.watch(directory, (eventType, filename) => {
+                if (filename && !filename.endsWith('.js')) return;
+
+                // Editors emit several events per save; reload once they settle
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => {
+                    this.debugLog(`Plugin directory changed (${filename || 'unknown file'}), reloading plugins`);
+                    this.reload();
+                }, 200);
+            });
+            this.watcher.unref();
+        } catch (error) {
+            console.error(`✗ Failed to watch plugin directory ${directory}:`, error.message);
+        }
+    }
+
+    /**
+     * Get the names of the loaded plugins in run order
+     */
+    getPluginNames() {
+        return this.plugins.map(entry => entry.name);
+    }
+
+    /**
+     * Get the state of every plugin for status reporting
+     */
+    getPluginStates() {
+        return this.plugins.map(entry => ({
+            name: entry.name,
+            enabled: !entry.disabled,
+            lastError: entry.lastError
+        }));
+    }
+
+    /**
+     * Run an event through the plugin chain
+     * Returns { event, droppedBy } where event is null if a plugin dropped it
+     */
+    async run(event, eventType) {
+        let current = event;
+
+        for (const entry of this.plugins) {
+            if (entry.disabled) continue;
+
+            const startTime = performance.now();
+            const ctx = {
+                eventType: eventType,
+                account: this.config.account?.id || 'default',
+                log: (message) => this.debugLog(`[plugin ${entry.name}] ${message}`)
+            };
+
+            try {
+                // Plugins work on a copy so a plugin that throws halfway cannot leave a half-edited event
+                const input = structuredClone(current);
+                const result = await entry.plugin.transform(input, ctx);
+
+                if (result === null || result === false) {
+                    this.reportRun(entry.name, startTime, 'dropped');
+                    return { event: null, droppedBy: entry.name };
+                }
+
+                current = result === undefined ? input : result;
+                this.reportRun(entry.name, startTime, 'passed');
+            } catch (error) {
+                entry.disabled = true;
+                entry.lastError = error.message;
+                console.error(`✗ Plugin ${entry.name} failed on ${eventType} and was disabled until the next reload:`, error.message);
+                this.reportRun(entry.name, startTime, 'error', error.message);
+            }
+        }
+
+        return { event: current, droppedBy: null };
+    }
+
+    /**
+     * Report a finished plugin run
+     */
+    reportRun(name, startTime, outcome, error = null) {
+        if (this.onPluginRunCallback) {
+            this.onPluginRunCallback({
+                name: name,
+                duration: performance.now() - startTime,
+                outcome: outcome,
+                error: error
+            });
+        }
+    }
+}
+
+module.exports = PluginManager;
@@ -0,0 +1,137 @@
+/**
+ * RecoverySupervisor - Handles automatic recovery after browser failures
+ * Responsibilities:
+ * - Restart attempts with exponential backoff
+ * - Restart cap within a stability window
+ * - Lifecycle event reporting (restarting, recovered, gave up)
+ */
+class RecoverySupervisor {
+    constructor(config, debugLog) {
+        this.config = config;
+        this.debugLog = debugLog;
+        this.settings = config.recovery || {};
+        this.onLifecycleEvent = null;
+        this.isRecovering = false;
+        this.cancelled = false;
+        this.restartCount = 0;
+        this.lastRecoveryAt = 0;
+    }
+
+    /**
+     * Check if automatic recovery is enabled
+     */
+    isEnabled() {
+        return !!this.settings.enabled;
+    }
+
+    /**
+     * Set callback for lifecycle events
+     */
+    setOnLifecycleEventCallback(callback) {
+        this.onLifecycleEvent = callback;
+    }
+
+    /**
+     * Notify lifecycle event listener
+     */
+    emitLifecycleEvent(type, payload = {}) {
+        console.log(`🛟 ${type}${payload.attempt ? ` (attempt ${payload.attempt}/${payload.maxRestarts})` : ''}`);
+
+        if (this.onLifecycleEvent) {
+            try {
+                this.onLifecycleEvent(type, { ...payload, timestamp: new Date().toISOString() });
+            } catch (error) {
+                console.error('Error handling lifecycle event:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Get backoff delay for the given attempt number (1-based)
+     */
+    getDelay(attempt) {
+        const initialDelay = this.settings.initialDelay || 5000;
+        const maxDelay = this.settings.maxDelay || 60000;
+        return Math.min(initialDelay * Math.pow(2, attempt - 1), maxDelay);
+    }
+
+    /**
+     * Run restart attempts until one succeeds or the restart cap is reached
+     * restartFn must resolve to true when the bridge is running again
+     */
+    async recover(restartFn, reason = 'browser_lost') {
+        if (this.isRecovering) {
+            this.debugLog('Recovery already in progress');
+            return false;
+        }
+
+        const maxRestarts = this.settings.maxRestarts || 5;
+        const stableAfter = this.settings.stableAfter || 300000;
+
+        // A bridge that stayed up long enough starts with a fresh restart budget
+        if (this.lastRecoveryAt && Date.now() - this.lastRecoveryAt > stableAfter) {
+            this.restartCount = 0;
+        }
+
+        this.isRecovering = true;
+        this.cancelled = false;
+
+        try {
+            while (this.restartCount < maxRestarts) {
+                this.restartCount++;
+                const attempt = this.restartCount;
+                const delay = this.getDelay(attempt);
+
+                this.emitLifecycleEvent('bridge_restarting', { reason, attempt, maxRestarts, delay });
+                await new Promise(resolve => setTimeout(resolve, delay));
+
+                if (this.cancelled) {
+                    this.debugLog('Recovery cancelled');
+                    return false;
+                }
+
+                let recovered = false;
+                try {
+                    recovered = await restartFn();
+                } catch (error) {
+                    console.error('✗ Restart attempt failed:', error.message);
+                }
+
+                if (this.cancelled) {
+                    this.debugLog('Recovery cancelled');
+                    return false;
+                }
+
+                if (recovered) {
+                    this.lastRecoveryAt = Date.now();
+                    this.emitLifecycleEvent('bridge_recovered', { reason, attempt, maxRestarts });
+                    return true;
+                }
+            }
+
+            this.emitLifecycleEvent('bridge_gave_up', { reason, restarts: this.restartCount, maxRestarts });
+            // The next failure, after a manual restart, gets a fresh restart budget
+            this.reset();
+            return false;
+        } finally {
+            this.isRecovering = false;
+        }
+    }
+
+    /**
+     * Start over with a full restart budget
+     */
+    reset() {
+        this.restartCount = 0;
+        this.lastRecoveryAt = 0;
+    }
+
+    /**
+     * Cancel an in-progress recovery (used on shutdown)
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+}
+
+module.exports = RecoverySupervisor;
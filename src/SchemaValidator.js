@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SchemaValidator - Handles validation of outgoing events against versioned JSON Schemas
+ * Responsibilities:
+ * - Load the schema index and schema files for the configured version
+ * - Validate event envelopes against the schema for their type
+ *   (rawEventTypes in index.json covers events published untransformed)
+ * - Report validation errors with the offending path
+ *
+ * Supported JSON Schema keywords: type, enum, const, required, properties,
+ * additionalProperties, items, anyOf, minimum, pattern and local $ref (#/$defs/...).
+ */
+class SchemaValidator {
+    constructor(config, debugLog) {
+        this.config = config;
+        this.debugLog = debugLog;
+        this.settings = config.schemas || {};
+        this.version = this.settings.version || 1;
+        this.schemas = this.isEnabled() ? this.loadSchemas() : {};
+    }
+
+    /**
+     * Check if validation before publish is enabled
+     */
+    isEnabled() {
+        return !!this.settings.enabled;
+    }
+
+    /**
+     * Get the schema version stamped on every envelope
+     */
+    getVersion() {
+        return this.version;
+    }
+
+    /**
+     * Get the directory holding the schemas of the configured version
+     */
+    getVersionDirectory() {
+        return path.join(this.settings.directory || './schemas', `v${this.version}`);
+    }
+
+    /**
+     * Load index.json and the schema file for every event type it lists
+     * Returns { transformed, raw } schema entries keyed by event type
+     */
+    loadSchemas() {
+        const directory = this.getVersionDirectory();
+        const index = this.readJSON(path.join(directory, 'index.json'));
+        const files = {};
+
+        const loadEntries = (eventTypes) => {
+            const entries = {};
+            for (const [eventType, file] of Object.entries(eventTypes || {})) {
+                if (!files[file]) {
+                    files[file] = this.readJSON(path.join(directory, file));
+                }
+                entries[eventType] = { file, schema: files[file] };
+            }
+            return entries;
+        };
+
+        const schemas = {
+            transformed: loadEntries(index.eventTypes),
+            raw: loadEntries(index.rawEventTypes)
+        };
+
+        const typeCount = Object.keys(schemas.transformed).length + Object.keys(schemas.raw).length;
+        this.debugLog(`Loaded ${Object.keys(files).length} event schemas (v${this.version}) for ${typeCount} event types`);
+        return schemas;
+    }
+
+    /**
+     * Reload schemas from disk, keeping the current ones if a file is invalid
+     */
+    reload() {
+        if (!this.isEnabled()) return true;
+
+        try {
+            this.schemas = this.loadSchemas();
+            return true;
+        } catch (error) {
+            console.error('Error reloading event schemas:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Read and parse a schema file
+     */
+    readJSON(filePath) {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid event schema ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate an event envelope against the schema for its type
+     * raw marks events the transformer passed through unchanged (e.g. message types it does not handle)
+     * Returns { valid, schema, errors }
+     */
+    validate(eventData, raw = false) {
+        const eventType = eventData?.data?.type;
+        const entry = (raw && this.schemas.raw?.[eventType]) || this.schemas.transformed?.[eventType];
+
+        if (!entry) {
+            return { valid: false, schema: null, errors: [`no schema for event type ${JSON.stringify(eventType)}`] };
+        }
+
+        const errors = [];
+        this.validateNode(entry.schema, eventData, '', errors, entry.schema);
+        return { valid: errors.length === 0, schema: entry.file, errors };
+    }
+
+    /**
+     * Validate a value against a schema node, collecting errors
+     */
+    validateNode(node, value, keyPath, errors, root) {
+        if (node.$ref) {
+            return this.validateNode(this.resolveRef(node.$ref, root), value, keyPath, errors, root);
+        }
+
+        const label = keyPath || '(root)';
+
+        if (node.anyOf) {
+            const matches = node.anyOf.some(option => {
+                const optionErrors = [];
+                this.validateNode(option, value, keyPath, optionErrors, root);
+                return optionErrors.length === 0;
+            });
+            if (!matches) {
+                errors.push(`${label}: does not match any allowed shape`);
+                return;
+            }
+        }
+
+        if (node.type && !this.matchesType(node.type, value)) {
+            const expected = Array.isArray(node.type) ? node.type.join(' or ') : node.type;
+            errors.push(`${label}: expected ${expected}, got ${this.describe(value)}`);
+            return;
+        }
+
+        if (node.const !== undefined && value !== node.const) {
+            errors.push(`${label}: must be ${JSON.stringify(node.const)}, got ${JSON.stringify(value)}`);
+        }
+
+        if (node.enum && !node.enum.includes(value)) {
+            errors.push(`${label}: must be one of ${node.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+        }
+
+        if (node.minimum !== undefined && typeof value === 'number' && value < node.minimum) {
+            errors.push(`${label}: must be at least ${node.minimum}, got ${value}`);
+        }
+
+        if (node.pattern && typeof value === 'string' && !new RegExp(node.pattern).test(value)) {
+            errors.push(`${label}: must match ${node.pattern}, got ${JSON.stringify(value)}`);
+        }
+
+        if (this.isPlainObject(value)) {
+            this.validateObject(node, value, keyPath, errors, root);
+        }
+
+        if (Array.isArray(value) && node.items) {
+            value.forEach((item, index) => {
+                this.validateNode(node.items, item, `${keyPath}[${index}]`, errors, root);
+            });
+        }
+    }
+
+    /**
+     * Validate required keys, known properties and additional properties of an object
+     */
+    validateObject(node, value, keyPath, errors, root) {
+        (node.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${this.joinPath(keyPath, key)}: is required`);
+            }
+        });
+
+        const properties = node.properties || {};
+        for (const [key, entry] of Object.entries(value)) {
+            if (key in properties) {
+                this.validateNode(properties[key], entry, this.joinPath(keyPath, key), errors, root);
+            } else if (node.additionalProperties === false) {
+                errors.push(`${this.joinPath(keyPath, key)}: unexpected property`);
+            } else if (this.isPlainObject(node.additionalProperties)) {
+                this.validateNode(node.additionalProperties, entry, this.joinPath(keyPath, key), errors, root);
+            }
+        }
+    }
+
+    /**
+     * Resolve a local reference such as #/$defs/media
+     */
+    resolveRef(ref, root) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Unsupported schema reference: ${ref}`);
+        }
+
+        const target = ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+        if (!target) {
+            throw new Error(`Unresolved schema reference: ${ref}`);
+        }
+        return target;
+    }
+
+    /**
+     * Check a value against a JSON Schema type or list of types
+     */
+    matchesType(type, value) {
+        const types = Array.isArray(type) ? type : [type];
+        return types.some(candidate => {
+            switch (candidate) {
+                case 'null': return value === null;
+                case 'array': return Array.isArray(value);
+                case 'object': return this.isPlainObject(value);
+                case 'integer': return Number.isInteger(value);
+                case 'number': return typeof value === 'number' && Number.isFinite(value);
+                default: return typeof value === candidate;
+            }
+        });
+    }
+
+    /**
+     * Append a key to a dotted key path
+     */
+    joinPath(keyPath, key) {
+        return keyPath ? `${keyPath}.${key}` : key;
+    }
+
+    /**
+     * Check if value is a non-array object
+     */
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Describe a value for error messages
+     */
+    describe(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return `${typeof value} ${JSON.stringify(value)}`;
+    }
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,561 @@
+const crypto = require('crypto');
+
+/**
+ * Create a collection with the subset of the WhatsApp Web collection API store.js uses
+ * (on, get, getModelsArray, models) plus methods the simulator uses to change it
+ */
+function createCollection() {
+    const models = new Map();
+    const listeners = {};
+
+    const keyOf = (id) => (id && typeof id === 'object' ? id._serialized : id);
+
+    return {
+        get models() {
+            return [...models.values()];
+        },
+        on(event, listener) {
+            (listeners[event] = listeners[event] || []).push(listener);
+        },
+        off(event, listener) {
+            listeners[event] = (listeners[event] || []).filter(existing => existing !== listener);
+        },
+        emit(event, ...args) {
+            (listeners[event] || []).forEach(listener => listener(...args));
+        },
+        get(id) {
+            return models.get(keyOf(id));
+        },
+        async find(id) {
+            return models.get(keyOf(id)) || null;
+        },
+        getModelsArray() {
+            return [...models.values()];
+        },
+        add(model) {
+            models.set(keyOf(model.id), model);
+            this.emit('add', model);
+            return model;
+        },
+        change(model) {
+            this.emit('change', model);
+            return model;
+        },
+        remove(model) {
+            models.delete(keyOf(model.id));
+            this.emit('remove', model);
+            return model;
+        },
+        listenerCount() {
+            return Object.values(listeners).reduce((count, list) => count + list.length, 0);
+        }
+    };
+}
+
+/**
+ * Replace wids and message keys by their serialized form, like WhatsApp Web models do in toJSON()
+ */
+function serializeValue(value) {
+    if (Array.isArray(value)) return value.map(serializeValue);
+    if (value && typeof value === 'object') {
+        if (typeof value._serialized === 'string') return value._serialized;
+
+        const result = {};
+        for (const [key, entry] of Object.entries(value)) {
+            if (typeof entry !== 'function') result[key] = serializeValue(entry);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Create a model whose JSON form matches WhatsApp Web (ids as strings)
+ */
+function createModel(attributes) {
+    const model = { ...attributes };
+    Object.defineProperty(model, 'toJSON', {
+        enumerable: false,
+        value: () => serializeValue(model)
+    });
+    return model;
+}
+
+/**
+ * SimulatedStore - Handles a local fake of the WhatsApp Web Store for the simulator
+ * Responsibilities:
+ * - Provide the Store collections store.js hooks into (Msg, Contact, Presence, Conn, Chat, Reactions, Call, PollVote)
+ * - Provide the modules outbound commands use (WidFactory, MsgKey, SendMessage, User, DownloadManager)
+ * - Apply simulated activity: messages, polls and votes, acks, edits, reactions, calls, chat, contact, presence and connection changes
+ * - Generate media content that matches the advertised file hash
+ */
+class SimulatedStore {
+    constructor(options = {}) {
+        this.random = options.random || Math.random;
+        this.phoneNumber = options.phoneNumber || '15550000000';
+        this.ackDelay = options.ackDelay === undefined ? 1000 : options.ackDelay;
+        this.timers = new Set();
+        this.mediaContent = new Map();
+        this.reactions = new Map();
+        this.pollVotes = new Map();
+
+        this.me = this.createWid(`${this.phoneNumber}@c.us`);
+        this.Store = this.buildStore();
+    }
+
+    /**
+     * Build the Store object exposed as window.Store
+     */
+    buildStore() {
+        const simulator = this;
+
+        const Conn = createCollection();
+        Conn.state = 'CONNECTED';
+
+        function MsgKey({ from, to, id, participant, selfDir }) {
+            const fromMe = selfDir === 'out';
+            this.fromMe = fromMe;
+            this.remote = to;
+            this.id = id;
+            if (participant) this.participant = participant;
+            this._serialized = simulator.serializeKey(fromMe, to, id, participant);
+            this.from = from;
+        }
+        MsgKey.newId = async () => simulator.createMessageId();
+
+        return {
+            Msg: createCollection(),
+            Contact: createCollection(),
+            Presence: createCollection(),
+            Chat: createCollection(),
+            Reactions: createCollection(),
+            Call: createCollection(),
+            PollVote: createCollection(),
+            Conn: Conn,
+            User: {
+                getMaybeMeUser: () => this.me,
+                getMeUser: () => this.me
+            },
+            WidFactory: {
+                createWid: (id) => this.createWid(id)
+            },
+            MsgKey: MsgKey,
+            SendMessage: {
+                addAndSendMsgToChat: async (chat, message) => {
+                    const msg = this.createMessage({
+                        key: message.id,
+                        chat: chat.id,
+                        from: message.from,
+                        to: message.to,
+                        fromMe: true,
+                        body: message.body,
+                        type: message.type,
+                        ack: 0,
+                        quotedMsg: message.quotedMsg
+                    });
+                    this.Store.Msg.add(msg);
+                    this.progressAcks(msg, 3);
+                    return msg;
+                }
+            },
+            DownloadManager: {
+                downloadAndMaybeDecrypt: async ({ filehash }) => {
+                    const content = this.mediaContent.get(filehash);
+                    if (!content) {
+                        throw new Error('Simulated media not found');
+                    }
+                    return content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength);
+                }
+            }
+        };
+    }
+
+    /**
+     * Create a wid such as { server: 'c.us', user: '15551234567', _serialized: '15551234567@c.us' }
+     */
+    createWid(id) {
+        const serialized = id.includes('@') ? id : `${id}@c.us`;
+        const [user, server] = serialized.split('@');
+        return { server, user, _serialized: serialized };
+    }
+
+    /**
+     * Build the serialized form of a message key
+     */
+    serializeKey(fromMe, remote, id, participant) {
+        const base = `${fromMe}_${remote._serialized}_${id}`;
+        return participant && !fromMe ? `${base}_${participant._serialized}` : base;
+    }
+
+    /**
+     * Create a random message id in the format WhatsApp Web uses
+     */
+    createMessageId() {
+        let id = '3EB0';
+        for (let i = 0; i < 16; i++) {
+            id += Math.floor(this.random() * 16).toString(16).toUpperCase();
+        }
+        return id;
+    }
+
+    /**
+     * Create a message model
+     * chat is the chat wid; from is the sender for incoming group messages
+     */
+    createMessage({ key = null, chat, from = null, to = null, fromMe = false, body = '', type = 'chat', ack = 1, media = null, poll = null, quotedMsg = null }) {
+        const isGroup = chat.server === 'g.us';
+        const sender = fromMe ? this.me : (from || chat);
+        const participant = isGroup ? sender : undefined;
+        const id = key || {
+            fromMe: fromMe,
+            remote: chat,
+            id: this.createMessageId(),
+            _serialized: null,
+            ...(participant && { participant })
+        };
+        if (!id._serialized) {
+            id._serialized = this.serializeKey(fromMe, chat, id.id, participant);
+        }
+
+        const msg = createModel({
+            id: id,
+            body: body,
+            type: type,
+            from: from && !isGroup ? from : (fromMe ? this.me : chat),
+            to: to || (fromMe ? chat : this.me),
+            t: Math.floor(Date.now() / 1000),
+            ack: ack,
+            isNewMsg: true,
+            ...(isGroup && !fromMe && { author: sender }),
+            ...(media || {}),
+            ...(poll && {
+                pollName: poll.name,
+                pollOptions: poll.options.map((name, localId) => ({ name, localId })),
+                pollSelectableOptionsCount: poll.multiple ? 0 : 1
+            }),
+            ...(quotedMsg && { quotedMsg })
+        });
+
+        Object.defineProperty(msg, 'msgContextInfo', {
+            enumerable: false,
+            value: () => ({ quotedMsg: { id: msg.id, body: msg.body } })
+        });
+
+        return msg;
+    }
+
+    /**
+     * Create media fields for a message, storing content that downloads with a matching hash
+     */
+    createMedia(type, mimetype) {
+        const content = Buffer.from(`Simulated ${type} media ${this.createMessageId()}\n`);
+        const filehash = crypto.createHash('sha256').update(content).digest('base64');
+        this.mediaContent.set(filehash, content);
+
+        return {
+            mimetype: mimetype,
+            filehash: filehash,
+            size: content.length,
+            mediaKey: crypto.createHash('sha256').update(filehash).digest('base64'),
+            directPath: `/simulated/${encodeURIComponent(filehash)}`
+        };
+    }
+
+    /**
+     * Add an incoming or outgoing message
+     */
+    addMessage(options) {
+        const media = options.type && !['chat', 'poll_creation'].includes(options.type) ?
+            this.createMedia(options.type, options.mimetype || 'application/octet-stream') :
+            null;
+        const msg = this.createMessage({ ...options, media, ack: options.fromMe ? 0 : 1 });
+
+        const chat = this.getChat(msg.id.remote);
+        chat.msgs.push(msg);
+        chat.t = msg.t;
+        this.Store.Msg.add(msg);
+
+        if (options.fromMe) {
+            this.progressAcks(msg, 3);
+        } else {
+            this.updateChat(chat.id, { unreadCount: Math.max(chat.unreadCount, 0) + 1 });
+        }
+        return msg;
+    }
+
+    /**
+     * Set the ack of a message (1 sent, 2 delivered, 3 read, 4 played)
+     * Reading an incoming message also reads its chat
+     */
+    setAck(msg, ack) {
+        msg.ack = ack;
+        this.Store.Msg.change(msg);
+
+        const chat = this.Store.Chat.get(msg.id.remote);
+        if (ack >= 3 && !msg.id.fromMe && chat && chat.unreadCount !== 0) {
+            this.updateChat(chat.id, { unreadCount: 0 });
+        }
+    }
+
+    /**
+     * Edit the text of a message in place, as WhatsApp Web does (caption for media)
+     */
+    editMessage(msg, text) {
+        const sender = msg.id.fromMe ? this.me : (msg.author || msg.from);
+        const id = this.createMessageId();
+
+        msg.latestEditMsgKey = {
+            fromMe: msg.id.fromMe,
+            remote: msg.id.remote,
+            id: id,
+            ...(msg.author && { participant: sender }),
+            _serialized: this.serializeKey(msg.id.fromMe, msg.id.remote, id, msg.author ? sender : undefined)
+        };
+        msg.latestEditSenderTimestampMs = Date.now();
+        if (msg.type === 'chat') {
+            msg.body = text;
+        } else {
+            msg.caption = text;
+        }
+        return this.Store.Msg.change(msg);
+    }
+
+    /**
+     * Vote on a poll message; an empty list of option names withdraws the vote
+     */
+    vote(msg, voter, optionNames) {
+        const selected = optionNames.map(name => {
+            const option = (msg.pollOptions || []).find(candidate => candidate.name === name);
+            if (!option) {
+                throw new Error(`unknown poll option "${name}"`);
+            }
+            return option.localId;
+        });
+
+        const key = `${msg.id._serialized}|${voter._serialized}`;
+        const existing = this.pollVotes.get(key);
+        if (existing) {
+            existing.selectedOptionLocalIds = selected;
+            existing.senderTimestampMs = Date.now();
+            return this.Store.PollVote.change(existing);
+        }
+
+        const fromMe = voter._serialized === this.me._serialized;
+        const id = { fromMe: fromMe, remote: msg.id.remote, id: this.createMessageId() };
+        id._serialized = this.serializeKey(fromMe, msg.id.remote, id.id);
+
+        const vote = createModel({
+            id: id,
+            parentMsgKey: msg.id,
+            sender: voter,
+            selectedOptionLocalIds: selected,
+            senderTimestampMs: Date.now()
+        });
+        this.pollVotes.set(key, vote);
+        return this.Store.PollVote.add(vote);
+    }
+
+    /**
+     * Move an outgoing message through sent, delivered and read
+     */
+    progressAcks(msg, finalAck) {
+        for (let ack = Math.max(1, msg.ack + 1); ack <= finalAck; ack++) {
+            this.schedule(() => this.setAck(msg, ack), this.ackDelay * ack);
+        }
+    }
+
+    /**
+     * React to a message; an empty emoji withdraws the sender's reaction
+     */
+    react(msg, sender, emoji) {
+        const key = `${msg.id._serialized}|${sender._serialized}`;
+        const existing = this.reactions.get(key);
+
+        if (!emoji) {
+            this.reactions.delete(key);
+            return existing ? this.Store.Reactions.remove(existing) : null;
+        }
+
+        if (existing) {
+            existing.reactionText = emoji;
+            existing.timestamp = Date.now();
+            return this.Store.Reactions.change(existing);
+        }
+
+        const fromMe = sender._serialized === this.me._serialized;
+        const id = { fromMe: fromMe, remote: msg.id.remote, id: this.createMessageId() };
+        id._serialized = this.serializeKey(fromMe, msg.id.remote, id.id);
+
+        const reaction = createModel({
+            id: id,
+            parentMsgKey: msg.id,
+            senderUserJid: sender._serialized,
+            reactionText: emoji,
+            timestamp: Date.now(),
+            read: fromMe
+        });
+        this.reactions.set(key, reaction);
+        return this.Store.Reactions.add(reaction);
+    }
+
+    /**
+     * Start ringing a call with a contact or group
+     */
+    startCall({ peer, outgoing = false, isVideo = false, participants = [] }) {
+        const isGroup = peer.server === 'g.us';
+        const call = createModel({
+            id: this.createMessageId(),
+            peerJid: isGroup ? participants[0] || peer : peer,
+            isGroup: isGroup,
+            ...(isGroup && { groupJid: peer }),
+            isVideo: isVideo,
+            outgoing: outgoing,
+            participants: isGroup ? participants : [peer],
+            state: outgoing ? 'OUTGOING_RING' : 'INCOMING_RING',
+            offerTime: Math.floor(Date.now() / 1000)
+        });
+        return this.Store.Call.add(call);
+    }
+
+    /**
+     * Move a call to a new state (CALL_ACTIVE, REJECTED, MISSED, ENDED); finished calls leave the collection
+     */
+    setCallState(call, state) {
+        call.state = state;
+        this.Store.Call.change(call);
+        if (state !== 'CALL_ACTIVE') {
+            this.Store.Call.remove(call);
+        }
+    }
+
+    /**
+     * Get a chat, creating it when it doesn't exist yet
+     */
+    getChat(id, name = null) {
+        const existing = this.Store.Chat.get(id);
+        if (existing) return existing;
+
+        const chat = createModel({
+            id: id,
+            name: name,
+            isGroup: id.server === 'g.us',
+            archive: false,
+            pin: 0,
+            muteExpiration: 0,
+            unreadCount: 0,
+            t: Math.floor(Date.now() / 1000)
+        });
+        Object.defineProperty(chat, 'msgs', { enumerable: false, writable: true, value: [] });
+        return this.Store.Chat.add(chat);
+    }
+
+    /**
+     * Change chat attributes (archive, pin, muteExpiration, unreadCount)
+     */
+    updateChat(id, attributes) {
+        const chat = this.getChat(id);
+        Object.assign(chat, attributes);
+        return this.Store.Chat.change(chat);
+    }
+
+    /**
+     * Clear the messages of a chat
+     */
+    clearChat(id) {
+        const chat = this.getChat(id);
+        chat.msgs = [];
+        chat.unreadCount = 0;
+        return this.Store.Chat.change(chat);
+    }
+
+    /**
+     * Delete a chat
+     */
+    deleteChat(id) {
+        const chat = this.Store.Chat.get(id);
+        return chat ? this.Store.Chat.remove(chat) : null;
+    }
+
+    /**
+     * Add or change a contact
+     */
+    upsertContact(number, attributes = {}) {
+        const id = this.createWid(number);
+        const existing = this.Store.Contact.get(id);
+
+        if (existing) {
+            Object.assign(existing, attributes);
+            return this.Store.Contact.change(existing);
+        }
+
+        const contact = createModel({
+            id: id,
+            name: attributes.name || null,
+            pushname: attributes.pushname || attributes.name || null,
+            isMe: false,
+            isUser: id.server === 'c.us',
+            isGroup: id.server === 'g.us',
+            isBusiness: false,
+            ...attributes
+        });
+        this.getChat(id, contact.name);
+        return this.Store.Contact.add(contact);
+    }
+
+    /**
+     * Remove a contact
+     */
+    removeContact(number) {
+        const contact = this.Store.Contact.get(this.createWid(number));
+        return contact ? this.Store.Contact.remove(contact) : null;
+    }
+
+    /**
+     * Set the presence of a chat (available, unavailable, composing, recording)
+     */
+    setPresence(number, state) {
+        const id = this.createWid(number)._serialized;
+        const existing = this.Store.Presence.get(id);
+        const attributes = {
+            id: id,
+            isOnline: state !== 'unavailable',
+            chatstate: { type: state },
+            ...(state === 'unavailable' && { lastSeen: Math.floor(Date.now() / 1000) })
+        };
+
+        if (existing) {
+            Object.assign(existing, attributes);
+            return this.Store.Presence.change(existing);
+        }
+        return this.Store.Presence.add(createModel(attributes));
+    }
+
+    /**
+     * Change the connection state (CONNECTED, OPENING, PAIRING, TIMEOUT, ...)
+     */
+    setConnectionState(state) {
+        this.Store.Conn.state = state;
+        this.Store.Conn.emit('change:state', state);
+    }
+
+    /**
+     * Run a callback later, keeping track of the timer so close() can cancel it
+     */
+    schedule(callback, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+    }
+
+    /**
+     * Cancel pending simulated activity
+     */
+    close() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+}
+
+module.exports = SimulatedStore;
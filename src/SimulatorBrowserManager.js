@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const SimulatedStore = require('./SimulatedStore');
+const SimulatorScenario = require('./SimulatorScenario');
+
+/**
+ * SimulatorBrowserManager - Handles a simulated WhatsApp Web page in place of BrowserManager
+ * Responsibilities:
+ * - Run the real store.js in a local sandbox against a fake Store (SimulatedStore)
+ * - Deliver pushed and polled events exactly like the browser page does
+ * - Answer outbound commands and media downloads from the fake Store
+ * - Drive scripted or randomized activity (SimulatorScenario)
+ *
+ * Exposes the same methods as BrowserManager, so AccountSession runs unchanged.
+ */
+class SimulatorBrowserManager {
+    constructor(config, debugLog) {
+        this.config = config;
+        this.debugLog = debugLog;
+        this.settings = config.simulator || {};
+        this.context = null;
+        this.store = null;
+        this.scenario = null;
+        this.isRunning = false;
+        this.onBrowserClose = null;
+        this.onAuthEvent = null;
+        this.onEvent = null;
+    }
+
+    /**
+     * Set callback for browser close events
+     */
+    setOnBrowserCloseCallback(callback) {
+        this.onBrowserClose = callback;
+    }
+
+    /**
+     * Set callback for events pushed from the page
+     */
+    setOnEventCallback(callback) {
+        this.onEvent = callback;
+    }
+
+    /**
+     * Check if push transport is configured
+     */
+    isPushMode() {
+        return this.config.polling.mode === 'push' && !!this.onEvent;
+    }
+
+    /**
+     * Set callback for authentication events (qr, success, failure)
+     */
+    setOnAuthEventCallback(callback) {
+        this.onAuthEvent = callback;
+    }
+
+    /**
+     * Notify authentication event listener
+     */
+    emitAuthEvent(type, payload = {}) {
+        if (this.onAuthEvent) {
+            try {
+                this.onAuthEvent(type, { ...payload, timestamp: new Date().toISOString() });
+            } catch (error) {
+                console.error('Error handling auth event:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Create the simulated page: a sandbox whose window holds the fake Store
+     */
+    async launch() {
+        console.log('Launching WhatsApp simulator...');
+
+        this.store = new SimulatedStore({
+            phoneNumber: this.settings.phoneNumber,
+            ackDelay: this.settings.ackDelay
+        });
+        this.scenario = new SimulatorScenario(this.config, this.store, this.debugLog);
+        this.scenario.setOnDisconnectCallback(() => {
+            console.log('⚠️ Simulated browser disconnected');
+            this.handleBrowserClose();
+        });
+        this.scenario.seed();
+
+        const sandbox = {
+            console: {
+                log: (...args) => this.debugLog(`[page] ${args.join(' ')}`),
+                error: (...args) => this.debugLog(`[page] ${args.join(' ')}`)
+            },
+            setTimeout: setTimeout,
+            clearTimeout: clearTimeout,
+            AbortController: AbortController,
+            btoa: btoa,
+            Store: this.store.Store
+        };
+        sandbox.window = sandbox;
+        this.context = vm.createContext(sandbox);
+
+        console.log(`✓ Simulator launched as ${this.store.me.user}`);
+        return true;
+    }
+
+    /**
+     * The simulator is always linked; report success like a real login
+     */
+    async waitForAuthentication() {
+        console.log('✓ Authentication successful (simulator)');
+        this.emitAuthEvent('success', { qrCodesShown: 0, simulated: true });
+        return true;
+    }
+
+    /**
+     * Run store.js in the sandbox and start simulated activity once listeners are attached
+     */
+    async injectEventListeners() {
+        try {
+            this.debugLog('Starting event listener injection...');
+
+            this.context.whatsappEvents = [];
+            this.context.injectionComplete = false;
+            this.context.listenersInjected = 0;
+
+            // Push mode: same contract as the exposed page binding (JSON arguments, returns a promise)
+            if (this.isPushMode()) {
+                this.context.whatsappPush = async (entry) => {
+                    this.onEvent(JSON.parse(JSON.stringify(entry)));
+                };
+                this.debugLog('Push binding exposed');
+            }
+
+            const storeScript = fs.readFileSync(path.resolve('./store.js'), 'utf8');
+            vm.runInContext(storeScript, this.context, { filename: 'store.js' });
+
+            this.debugLog('Store injection script loaded from store.js');
+            console.log('✓ Event listeners injection initiated');
+
+            const deadline = Date.now() + this.config.injection.verificationTimeout + 5000;
+            while (!this.context.injectionComplete && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+
+            const verified = await this.verifyInjection();
+            if (!verified) {
+                throw new Error('Event listener injection verification failed');
+            }
+
+            console.log('✓ Event listeners injection verified');
+            this.scenario.start();
+            return true;
+        } catch (error) {
+            console.error('✗ Failed to inject event listeners:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Verify that event listeners were injected successfully
+     */
+    async verifyInjection() {
+        const listenersCount = this.context ? this.context.listenersInjected || 0 : 0;
+
+        if (this.context && this.context.injectionComplete && listenersCount > 0) {
+            console.log(`✅ Injection verified: ${listenersCount} listeners active`);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Take the events queued by store.js
+     */
+    async pollEvents() {
+        if (!this.context) {
+            throw new Error('Simulator is not running');
+        }
+
+        const events = this.context.whatsappEvents || [];
+        this.context.whatsappEvents = [];
+        return JSON.parse(JSON.stringify(events));
+    }
+
+    /**
+     * Send a text message through the command interface of store.js
+     */
+    async sendTextMessage(chatId, body, quotedMsgId = null) {
+        return await this.runCommand('sendTextMessage', chatId, body, quotedMsgId);
+    }
+
+    /**
+     * Download simulated media through the command interface of store.js
+     */
+    async downloadMedia(msgId, maxSize = null) {
+        return await this.runCommand('downloadMessageMedia', msgId, maxSize);
+    }
+
+    /**
+     * Call a function of window.whatsappCommands, returning its JSON result like page.evaluate
+     */
+    async runCommand(name, ...args) {
+        if (!this.context) {
+            return {
+                success: false,
+                error: { code: 'browser_unavailable', message: 'Browser page not available' }
+            };
+        }
+
+        if (!this.context.whatsappCommands) {
+            return {
+                success: false,
+                error: { code: 'not_injected', message: 'Event listeners have not been injected' }
+            };
+        }
+
+        const result = await this.context.whatsappCommands[name](...args);
+        return JSON.parse(JSON.stringify(result));
+    }
+
+    /**
+     * Check if the simulated page is running
+     */
+    async isAlive() {
+        return !!this.context;
+    }
+
+    /**
+     * Get the number of events waiting in the in-page queue
+     */
+    async getQueueDepth() {
+        return this.context ? (this.context.whatsappEvents || []).length : 0;
+    }
+
+    /**
+     * Check if the injected listeners are in place on the current page
+     */
+    async isInjected() {
+        return !!(this.context && this.context.injectionComplete);
+    }
+
+    /**
+     * Handle a simulated browser loss
+     */
+    handleBrowserClose() {
+        this.teardown();
+
+        if (this.isRunning) {
+            console.log('🔄 Browser closed, stopping bridge...');
+            this.isRunning = false;
+
+            if (this.onBrowserClose) {
+                this.onBrowserClose();
+            }
+        }
+    }
+
+    /**
+     * Set running state
+     */
+    setRunning(isRunning) {
+        this.isRunning = isRunning;
+    }
+
+    /**
+     * Get browser and page instances (none in the simulator)
+     */
+    getBrowser() {
+        return null;
+    }
+
+    getPage() {
+        return null;
+    }
+
+    /**
+     * Check if the simulated page is available
+     */
+    isAvailable() {
+        return !!this.context;
+    }
+
+    /**
+     * Stop simulated activity and drop the sandbox
+     */
+    teardown() {
+        if (this.scenario) this.scenario.stop();
+        if (this.store) this.store.close();
+        this.context = null;
+    }
+
+    /**
+     * Close the simulator
+     */
+    async close() {
+        if (this.context) {
+            this.teardown();
+            console.log('✓ Simulator closed');
+        }
+    }
+}
+
+module.exports = SimulatorBrowserManager;
@@ -0,0 +1,418 @@
+const ConfigLoader = require('./ConfigLoader');
+const { simulatorScenarioSchema } = require('./configSchema');
+
+const CONTACT_NAMES = ['Alice', 'Bob', 'Carol', 'Dave', 'Erin', 'Frank', 'Grace', 'Heidi', 'Ivan', 'Judy'];
+const GROUP_NAMES = ['Team', 'Family', 'Support', 'Project', 'Friends'];
+const MESSAGE_BODIES = [
+    'Hi there', 'Are we still on for tomorrow?', 'Thanks!', 'See you soon',
+    'Can you send the invoice?', 'On my way', 'Sounds good', 'Call me when you can'
+];
+const PRESENCE_STATES = ['available', 'composing', 'recording', 'unavailable'];
+const REACTIONS = ['👍', '❤️', '😂', '🙏', '✅'];
+const POLLS = [
+    { name: 'Lunch on Friday?', options: ['Pizza', 'Sushi', 'Tacos'], multiple: true },
+    { name: 'Release this week?', options: ['Yes', 'No'], multiple: false }
+];
+const CALL_STATES = { accept: 'CALL_ACTIVE', reject: 'REJECTED', miss: 'MISSED', end: 'ENDED' };
+
+/**
+ * SimulatorScenario - Handles the activity generated by the simulator
+ * Responsibilities:
+ * - Seed the simulated store with contacts and groups
+ * - Play scripted scenario steps from simulator.scenario
+ * - Generate randomized message, poll, vote, ack, edit, reaction, call, chat, contact and presence activity
+ * - Use a seeded random generator so randomized runs are reproducible
+ */
+class SimulatorScenario {
+    constructor(config, store, debugLog) {
+        this.config = config;
+        this.settings = config.simulator || {};
+        this.store = store;
+        this.debugLog = debugLog;
+        this.random = this.createRandom(this.settings.seed);
+        // Message ids come from the same generator so seeded runs are reproducible
+        this.store.random = this.random;
+        this.contacts = [];
+        this.groups = [];
+        this.messages = new Map();
+        this.calls = new Map();
+        this.polls = [];
+        this.incoming = [];
+        this.timer = null;
+        this.isRunning = false;
+        this.onDisconnect = null;
+    }
+
+    /**
+     * Set callback invoked when a scenario step simulates losing the browser
+     */
+    setOnDisconnectCallback(callback) {
+        this.onDisconnect = callback;
+    }
+
+    /**
+     * Create a random generator; a non-zero seed makes it deterministic (mulberry32)
+     */
+    createRandom(seed) {
+        if (!seed) return Math.random;
+
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Pick a random element of a list
+     */
+    pick(list) {
+        return list[Math.floor(this.random() * list.length)];
+    }
+
+    /**
+     * Add the simulated contacts and groups, before store.js attaches its listeners
+     */
+    seed() {
+        const contactCount = this.settings.contacts || 5;
+        for (let i = 0; i < contactCount; i++) {
+            const number = `1555010${String(i + 1).padStart(4, '0')}`;
+            const name = CONTACT_NAMES[i % CONTACT_NAMES.length];
+            this.store.upsertContact(number, { name, pushname: name });
+            this.contacts.push(number);
+        }
+
+        const groupCount = this.settings.groups === undefined ? 2 : this.settings.groups;
+        for (let i = 0; i < groupCount; i++) {
+            const id = `12036300000000${String(i + 1).padStart(4, '0')}@g.us`;
+            this.store.upsertContact(id, { name: GROUP_NAMES[i % GROUP_NAMES.length] });
+            this.groups.push(id);
+        }
+
+        this.debugLog(`Simulator seeded ${this.contacts.length} contacts and ${this.groups.length} groups`);
+    }
+
+    /**
+     * Start the scripted scenario, or randomized activity when no scenario is configured
+     */
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        if (this.settings.scenario) {
+            const scenario = new ConfigLoader(simulatorScenarioSchema, { applyEnvironment: false }).load(this.settings.scenario);
+            console.log(`🎭 Simulator playing scenario ${this.settings.scenario} (${scenario.steps.length} steps)`);
+            this.playSteps(scenario.steps, 0, scenario.loop);
+        } else if (this.settings.random !== false) {
+            console.log(`🎭 Simulator generating random activity every ${this.settings.interval || 2000}ms`);
+            this.scheduleRandom();
+        }
+    }
+
+    /**
+     * Stop generating activity
+     */
+    stop() {
+        this.isRunning = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Play scenario steps in order, honouring each step's delay
+     */
+    playSteps(steps, index, loop) {
+        if (!this.isRunning) return;
+
+        if (index >= steps.length) {
+            if (loop && steps.length > 0) {
+                this.playSteps(steps, 0, loop);
+            } else {
+                console.log('🎭 Simulator scenario finished');
+                if (this.settings.random !== false && !loop) {
+                    this.scheduleRandom();
+                }
+            }
+            return;
+        }
+
+        const step = steps[index];
+        this.timer = setTimeout(() => {
+            try {
+                this.runStep(step);
+            } catch (error) {
+                console.error(`✗ Simulator step ${index + 1} (${step.action}) failed:`, error.message);
+            }
+            this.playSteps(steps, index + 1, loop);
+        }, step.delay || 0);
+    }
+
+    /**
+     * Apply a single scenario step to the store
+     */
+    runStep(step) {
+        this.debugLog(`Simulator step: ${step.action}`);
+
+        switch (step.action) {
+            case 'message':
+                return this.sendMessage({
+                    as: step.as,
+                    chat: this.requireField(step, 'chat'),
+                    from: step.from,
+                    fromMe: step.fromMe === true,
+                    body: step.body,
+                    type: step.type,
+                    mimetype: step.mimetype,
+                    options: step.options,
+                    multiple: step.multiple
+                });
+            case 'ack':
+                return this.store.setAck(this.getMessage(this.requireField(step, 'message')), this.requireField(step, 'ack'));
+            case 'edit':
+                return this.store.editMessage(this.getMessage(this.requireField(step, 'message')), this.requireField(step, 'body'));
+            case 'vote':
+                return this.vote(this.getMessage(this.requireField(step, 'message')), step, this.requireField(step, 'options'));
+            case 'reaction':
+                return this.react(this.getMessage(this.requireField(step, 'message')), step, this.requireField(step, 'emoji'));
+            case 'call':
+                return this.runCallStep(step);
+            case 'chat':
+                return this.updateChat(this.store.createWid(this.requireField(step, 'chat')), step);
+            case 'contact':
+                if (step.event === 'remove') {
+                    return this.store.removeContact(this.requireField(step, 'number'));
+                }
+                return this.store.upsertContact(this.requireField(step, 'number'), this.pickDefined(step, ['name', 'pushname']));
+            case 'presence':
+                return this.store.setPresence(this.requireField(step, 'number'), step.state || 'available');
+            case 'connection':
+                return this.store.setConnectionState(this.requireField(step, 'state'));
+            case 'disconnect':
+                if (this.onDisconnect) this.onDisconnect();
+                return null;
+        }
+    }
+
+    /**
+     * Get a step field that the action needs
+     */
+    requireField(step, field) {
+        if (step[field] === undefined) {
+            throw new Error(`"${field}" is required`);
+        }
+        return step[field];
+    }
+
+    /**
+     * Copy the defined fields of a step
+     */
+    pickDefined(step, fields) {
+        const result = {};
+        fields.forEach(field => {
+            if (step[field] !== undefined) result[field] = step[field];
+        });
+        return result;
+    }
+
+    /**
+     * Get a message created earlier by its "as" name
+     */
+    getMessage(name) {
+        const msg = this.messages.get(name);
+        if (!msg) {
+            throw new Error(`unknown message "${name}"`);
+        }
+        return msg;
+    }
+
+    /**
+     * Add a message to the store and remember it for later steps
+     */
+    sendMessage({ as = null, chat, from = null, fromMe = false, body, type = 'chat', mimetype, options, multiple }) {
+        const isPoll = type === 'poll_creation';
+        if (isPoll && !(options && options.length > 0)) {
+            throw new Error('"options" is required for polls');
+        }
+
+        const msg = this.store.addMessage({
+            chat: this.store.createWid(chat),
+            from: from ? this.store.createWid(from) : null,
+            fromMe: fromMe,
+            body: body === undefined && type === 'chat' ? this.pick(MESSAGE_BODIES) : (isPoll ? '' : (body || '')),
+            type: type,
+            mimetype: mimetype,
+            poll: isPoll ? { name: body || 'Poll', options: options, multiple: multiple === true } : null
+        });
+
+        if (as) this.messages.set(as, msg);
+        if (isPoll) this.polls.push(msg);
+        if (!fromMe) {
+            this.incoming.push(msg);
+            if (this.incoming.length > 100) this.incoming.shift();
+        }
+        return msg;
+    }
+
+    /**
+     * Vote on a poll as the step's sender, ourselves (fromMe) or the chat's contact
+     */
+    vote(msg, { from, fromMe }, optionNames) {
+        let voter = msg.id.remote;
+        if (fromMe) {
+            voter = this.store.me;
+        } else if (from) {
+            voter = this.store.createWid(from);
+        }
+        return this.store.vote(msg, voter, optionNames);
+    }
+
+    /**
+     * React to a message as the step's sender, ourselves (fromMe) or the chat's contact
+     */
+    react(msg, { from, fromMe }, emoji) {
+        let sender = msg.id.remote;
+        if (fromMe) {
+            sender = this.store.me;
+        } else if (from) {
+            sender = this.store.createWid(from);
+        } else if (msg.id.participant) {
+            sender = msg.id.participant;
+        }
+        return this.store.react(msg, sender, emoji);
+    }
+
+    /**
+     * Start a call ("chat"), or change the state of a call started earlier ("call" and "state")
+     */
+    runCallStep(step) {
+        if (step.call !== undefined) {
+            const call = this.calls.get(step.call);
+            if (!call) {
+                throw new Error(`unknown call "${step.call}"`);
+            }
+            const state = CALL_STATES[this.requireField(step, 'state')];
+            if (!state) {
+                throw new Error(`"state" must be one of ${Object.keys(CALL_STATES).join(', ')}`);
+            }
+            return this.store.setCallState(call, state);
+        }
+
+        const peer = this.store.createWid(this.requireField(step, 'chat'));
+        const call = this.store.startCall({
+            peer: peer,
+            outgoing: step.fromMe === true,
+            isVideo: step.video === true,
+            participants: peer.server === 'g.us' ? this.contacts.slice(0, 3).map(number => this.store.createWid(number)) : []
+        });
+        if (step.as) this.calls.set(step.as, call);
+        return call;
+    }
+
+    /**
+     * Archive, pin, mute, mark unread, clear or delete a chat
+     */
+    updateChat(id, { event, archive, pin, mute, markUnread }) {
+        if (event === 'remove') return this.store.deleteChat(id);
+        if (event === 'clear') return this.store.clearChat(id);
+
+        const now = Math.floor(Date.now() / 1000);
+        const attributes = {};
+        if (archive !== undefined) attributes.archive = archive;
+        if (pin !== undefined) attributes.pin = pin ? now : 0;
+        if (mute !== undefined) attributes.muteExpiration = mute ? now + 8 * 3600 : 0;
+        if (markUnread !== undefined) attributes.unreadCount = markUnread ? -1 : 0;
+        return this.store.updateChat(id, attributes);
+    }
+
+    /**
+     * Schedule the next random activity
+     */
+    scheduleRandom() {
+        if (!this.isRunning) return;
+
+        this.timer = setTimeout(() => {
+            try {
+                this.runRandomActivity();
+            } catch (error) {
+                console.error('✗ Simulator activity failed:', error.message);
+            }
+            this.scheduleRandom();
+        }, this.settings.interval || 2000);
+    }
+
+    /**
+     * Generate one random activity
+     */
+    runRandomActivity() {
+        const roll = this.random();
+        const contact = this.pick(this.contacts);
+
+        if (roll < 0.3 || (roll < 0.5 && this.groups.length === 0)) {
+            return this.sendMessage({ chat: contact });
+        }
+        if (roll < 0.48) {
+            return this.sendMessage({ chat: this.pick(this.groups), from: contact });
+        }
+        if (roll < 0.5) {
+            if (this.polls.length > 0 && this.random() < 0.8) {
+                // A group member votes (or changes their vote) on a poll
+                const poll = this.pick(this.polls);
+                const options = poll.pollOptions.map(option => option.name);
+                const picks = poll.pollSelectableOptionsCount === 0 ?
+                    options.filter(() => this.random() < 0.5) :
+                    [this.pick(options)];
+                return this.store.vote(poll, this.store.createWid(contact), picks);
+            }
+            const poll = this.pick(POLLS);
+            return this.sendMessage({ chat: this.pick(this.groups), from: contact, type: 'poll_creation', body: poll.name, options: poll.options, multiple: poll.multiple });
+        }
+        if (roll < 0.65) {
+            return this.sendMessage({ chat: contact, fromMe: true });
+        }
+        if (roll < 0.7) {
+            return this.sendMessage({ chat: contact, type: 'document', mimetype: 'text/plain' });
+        }
+        if (roll < 0.8 && this.incoming.length > 0) {
+            // Read an incoming message
+            const msg = this.incoming.shift();
+            return this.store.setAck(msg, 3);
+        }
+        if (roll < 0.82 && this.incoming.length > 0) {
+            // A contact corrects one of their messages
+            const msg = this.pick(this.incoming);
+            return msg.type === 'chat' ? this.store.editMessage(msg, `${msg.body} (edited)`) : null;
+        }
+        if (roll < 0.85 && this.incoming.length > 0) {
+            // React to an incoming message, sometimes withdrawing the reaction again
+            const msg = this.pick(this.incoming);
+            return this.react(msg, { fromMe: true }, this.random() < 0.2 ? '' : this.pick(REACTIONS));
+        }
+        if (roll < 0.93) {
+            return this.store.setPresence(contact, this.pick(PRESENCE_STATES));
+        }
+        if (roll < 0.95) {
+            // Incoming call that is missed, or answered and hung up a few seconds later
+            const call = this.store.startCall({ peer: this.store.createWid(contact), isVideo: this.random() < 0.3 });
+            if (this.random() < 0.5) {
+                this.store.schedule(() => this.store.setCallState(call, 'MISSED'), 3000);
+            } else {
+                this.store.schedule(() => this.store.setCallState(call, 'CALL_ACTIVE'), 1000);
+                this.store.schedule(() => this.store.setCallState(call, 'ENDED'), 1000 + Math.floor(this.random() * 10000));
+            }
+            return call;
+        }
+        if (roll < 0.975) {
+            // Toggle archive, pin or mute on a chat
+            const chat = this.store.getChat(this.store.createWid(contact));
+            const field = this.pick(['archive', 'pin', 'mute']);
+            const current = { archive: chat.archive, pin: !!chat.pin, mute: !!chat.muteExpiration }[field];
+            return this.updateChat(chat.id, { [field]: !current });
+        }
+        return this.store.upsertContact(contact, { pushname: `${this.pick(CONTACT_NAMES)} ${Math.floor(this.random() * 100)}` });
+    }
+}
+
+module.exports = SimulatorScenario;
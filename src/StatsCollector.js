@@ -10,6 +10,10 @@ class StatsCollector {
     constructor(config, debugLog) {
         this.config = config;
         this.debugLog = debugLog;
+        this.label = config.account?.multiAccount ? ` [${config.account.id}]` : '';
+        this.knownSubjects = [];
+        this.knownRules = [];
+        this.knownPlugins = [];
         
         // Event statistics
         this.eventStats = {
@@ -18,19 +22,55 @@ class StatsCollector {
             lastReset: Date.now(),
             errors: 0,
             filtered: 0,
-            ignored: 0
+            ignored: 0,
+            quarantined: 0,
+            dropped: 0
         };
 
         // Message statistics (NATS publishing)
         this.messageStats = {
-            mainSubject: 0,
-            contactSubject: 0,
-            ignoredSubject: 0,
-            presenceSubject: 0,
+            bySubject: this.createSubjectCounts(),
             lastReset: Date.now(),
             errors: 0
         };
 
+        // Filter rule hit counts
+        this.ruleStats = {
+            byRule: this.createRuleCounts()
+        };
+
+        // Transformer plugin runs, errors and timing
+        this.pluginStats = {
+            byPlugin: this.createPluginCounts()
+        };
+
+        // Webhook delivery statistics
+        this.webhookStats = {
+            delivered: 0,
+            failed: 0,
+            retries: 0,
+            deadLettered: 0,
+            byEndpoint: {},
+            lastReset: Date.now()
+        };
+
+        // Outbox statistics (events queued while NATS is unreachable)
+        this.outboxStats = {
+            depth: 0,
+            queued: 0,
+            replayed: 0,
+            dropped: 0
+        };
+
+        // Transport statistics (push vs poll, in-page emit to publish latency)
+        this.transportStats = {
+            pushed: 0,
+            polled: 0,
+            latencies: [],
+            averageLatency: 0,
+            maxLatency: 0
+        };
+
         // Performance statistics
         this.performanceStats = {
             eventProcessingTimes: [],
@@ -39,10 +79,44 @@ class StatsCollector {
             minProcessingTime: Infinity
         };
 
+        // Histograms (bucket bounds in seconds)
+        this.histograms = this.createHistograms();
+
         // Start periodic stats display if enabled
         this.startPeriodicDisplay();
     }
 
+    /**
+     * Create empty processing time and latency histograms
+     */
+    createHistograms() {
+        const buckets = this.config.metrics?.buckets || [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+        const createHistogram = () => ({
+            buckets: buckets,
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        });
+
+        return {
+            processing: createHistogram(),
+            latency: createHistogram()
+        };
+    }
+
+    /**
+     * Add an observation in milliseconds to a histogram
+     */
+    observeHistogram(histogram, timeMs) {
+        const seconds = timeMs / 1000;
+        const index = histogram.buckets.findIndex(bound => seconds <= bound);
+        if (index !== -1) {
+            histogram.counts[index]++;
+        }
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+
     /**
      * Update event statistics
      */
@@ -60,6 +134,12 @@ class StatsCollector {
             case 'ignored':
                 this.eventStats.ignored++;
                 break;
+            case 'quarantined':
+                this.eventStats.quarantined++;
+                break;
+            case 'dropped':
+                this.eventStats.dropped++;
+                break;
         }
     }
 
@@ -72,21 +152,214 @@ class StatsCollector {
             return;
         }
 
-        if (subject === this.config.nats.subject) {
-            this.messageStats.mainSubject++;
-        } else if (subject === this.config.nats.contactSubject) {
-            this.messageStats.contactSubject++;
-        } else if (subject === this.config.nats.ignoredSubject) {
-            this.messageStats.ignoredSubject++;
-        } else if (subject === this.config.nats.precenseSubject) {
-            this.messageStats.presenceSubject++;
+        // Per-chat subjects are counted under the template to keep the number of keys bounded
+        const key = this.matchesSubjectTemplate(subject) ? this.config.nats.subjectTemplate : subject;
+        this.messageStats.bySubject[key] = (this.messageStats.bySubject[key] || 0) + 1;
+    }
+
+    /**
+     * Register the subjects from the routing table so they are reported even before traffic
+     */
+    registerSubjects(subjects) {
+        this.knownSubjects = [...subjects];
+        if (this.config.nats.subjectTemplate) {
+            this.knownSubjects.push(this.config.nats.subjectTemplate);
+        }
+        this.messageStats.bySubject = { ...this.createSubjectCounts(), ...this.messageStats.bySubject };
+    }
+
+    /**
+     * Create zeroed counters for the known subjects
+     */
+    createSubjectCounts() {
+        const counts = {};
+        this.knownSubjects.forEach(subject => {
+            counts[subject] = 0;
+        });
+        return counts;
+    }
+
+    /**
+     * Register the filter rule names so they are reported even before they match
+     */
+    registerRules(names) {
+        this.knownRules = [...names];
+        this.ruleStats.byRule = { ...this.createRuleCounts(), ...this.ruleStats.byRule };
+    }
+
+    /**
+     * Create zeroed hit counters for the known filter rules
+     */
+    createRuleCounts() {
+        const counts = {};
+        this.knownRules.forEach(name => {
+            counts[name] = 0;
+        });
+        return counts;
+    }
+
+    /**
+     * Count a hit for every filter rule that matched an event
+     */
+    updateRuleStats(ruleNames) {
+        ruleNames.forEach(name => {
+            this.ruleStats.byRule[name] = (this.ruleStats.byRule[name] || 0) + 1;
+        });
+    }
+
+    /**
+     * Register the transformer plugin names so they are reported even before they run
+     */
+    registerPlugins(names) {
+        this.knownPlugins = [...names];
+        this.pluginStats.byPlugin = { ...this.createPluginCounts(), ...this.pluginStats.byPlugin };
+    }
+
+    /**
+     * Create zeroed counters for the known transformer plugins
+     */
+    createPluginCounts() {
+        const counts = {};
+        this.knownPlugins.forEach(name => {
+            counts[name] = this.createPluginCount();
+        });
+        return counts;
+    }
+
+    /**
+     * Create zeroed counters for a single transformer plugin
+     */
+    createPluginCount() {
+        return {
+            runs: 0,
+            dropped: 0,
+            errors: 0,
+            lastError: null,
+            totalTime: 0,
+            averageTime: 0,
+            maxTime: 0
+        };
+    }
+
+    /**
+     * Record a transformer plugin run ({ name, duration, outcome, error })
+     */
+    updatePluginStats(run) {
+        if (!this.pluginStats.byPlugin[run.name]) {
+            this.pluginStats.byPlugin[run.name] = this.createPluginCount();
+        }
+
+        const stats = this.pluginStats.byPlugin[run.name];
+        stats.runs++;
+        if (run.outcome === 'dropped') stats.dropped++;
+        if (run.outcome === 'error') {
+            stats.errors++;
+            stats.lastError = run.error;
+        }
+        stats.totalTime += run.duration;
+        stats.averageTime = stats.totalTime / stats.runs;
+        stats.maxTime = Math.max(stats.maxTime, run.duration);
+    }
+
+    /**
+     * Get the total number of published messages
+     */
+    getTotalMessages() {
+        return Object.values(this.messageStats.bySubject).reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Check if a subject was built from nats.subjectTemplate
+     */
+    matchesSubjectTemplate(subject) {
+        const template = this.config.nats.subjectTemplate;
+        if (!template || !subject) return false;
+
+        if (!this.subjectTemplatePattern) {
+            const source = template
+                .split(/\{\w+\}/)
+                .map(part => part.replace(/[.*+?^$()|[\]\\]/g, '\\$&'))
+                .join('[^.]+');
+            this.subjectTemplatePattern = new RegExp(`^${source}$`);
+        }
+        return this.subjectTemplatePattern.test(subject);
+    }
+
+    /**
+     * Update webhook delivery statistics for one endpoint result
+     */
+    updateWebhookStats(result) {
+        const endpointStats = this.webhookStats.byEndpoint[result.endpoint] ||
+            (this.webhookStats.byEndpoint[result.endpoint] = { delivered: 0, failed: 0 });
+
+        this.webhookStats.retries += Math.max(0, (result.attempts || 1) - 1);
+
+        if (result.success) {
+            this.webhookStats.delivered++;
+            endpointStats.delivered++;
+        } else {
+            this.webhookStats.failed++;
+            endpointStats.failed++;
+            if (result.deadLettered) {
+                this.webhookStats.deadLettered++;
+            }
+        }
+    }
+
+    /**
+     * Update outbox statistics
+     * Action is one of 'queued', 'replayed', 'dropped' or 'depth' (depth refresh only)
+     */
+    updateOutboxStats(action, depth, count = 1) {
+        this.outboxStats.depth = depth;
+
+        switch (action) {
+            case 'queued':
+                this.outboxStats.queued += count;
+                break;
+            case 'replayed':
+                this.outboxStats.replayed += count;
+                break;
+            case 'dropped':
+                this.outboxStats.dropped += count;
+                break;
         }
     }
 
+    /**
+     * Count an event received from the page by transport ('push' or 'poll')
+     */
+    updateTransportStats(transport) {
+        if (transport === 'push') {
+            this.transportStats.pushed++;
+        } else {
+            this.transportStats.polled++;
+        }
+    }
+
+    /**
+     * Record latency between the in-page event timestamp and publish
+     */
+    recordEventLatency(latencyMs) {
+        this.observeHistogram(this.histograms.latency, latencyMs);
+
+        const latencies = this.transportStats.latencies;
+        latencies.push(latencyMs);
+
+        // Keep only last 1000 measurements
+        if (latencies.length > 1000) {
+            latencies.shift();
+        }
+
+        this.transportStats.maxLatency = Math.max(this.transportStats.maxLatency, latencyMs);
+        this.transportStats.averageLatency = latencies.reduce((a, b) => a + b, 0) / latencies.length;
+    }
+
     /**
      * Record event processing time
      */
     recordProcessingTime(timeMs) {
+        this.observeHistogram(this.histograms.processing, timeMs);
         this.performanceStats.eventProcessingTimes.push(timeMs);
         
         // Keep only last 1000 measurements
@@ -112,11 +385,13 @@ class StatsCollector {
         const elapsed = (Date.now() - this.eventStats.lastReset) / 1000;
         const rate = (this.eventStats.total / elapsed).toFixed(2);
         
-        console.log('\n📊 EVENT STATISTICS');
+        console.log(`\n📊 EVENT STATISTICS${this.label}`);
         console.log(`Total events: ${this.eventStats.total} (${rate}/sec)`);
         console.log(`Errors: ${this.eventStats.errors}`);
         console.log(`Filtered: ${this.eventStats.filtered}`);
         console.log(`Ignored: ${this.eventStats.ignored}`);
+        console.log(`Quarantined: ${this.eventStats.quarantined}`);
+        console.log(`Dropped: ${this.eventStats.dropped}`);
         console.log('Events by type:');
         
         Object.entries(this.eventStats.byType)
@@ -134,22 +409,80 @@ class StatsCollector {
         if (!this.config.messageStats.enabled) return;
         
         const elapsed = (Date.now() - this.messageStats.lastReset) / 1000;
-        const totalMessages = this.messageStats.mainSubject + 
-                             this.messageStats.contactSubject + 
-                             this.messageStats.ignoredSubject + 
-                             this.messageStats.presenceSubject;
+        const totalMessages = this.getTotalMessages();
         
-        console.log('\n📤 MESSAGE STATISTICS');
-        console.log(`Main subject (${this.config.nats.subject}): ${this.messageStats.mainSubject} messages`);
-        console.log(`Contact subject (${this.config.nats.contactSubject}): ${this.messageStats.contactSubject} messages`);
-        console.log(`Ignored subject (${this.config.nats.ignoredSubject}): ${this.messageStats.ignoredSubject} messages`);
-        console.log(`Presence subject (${this.config.nats.precenseSubject}): ${this.messageStats.presenceSubject} messages`);
+        console.log(`\n📤 MESSAGE STATISTICS${this.label}`);
+        Object.entries(this.messageStats.bySubject).forEach(([subject, count]) => {
+            console.log(`${subject}: ${count} messages`);
+        });
         console.log(`Total sent: ${totalMessages} messages`);
         console.log(`Rate: ${(totalMessages / elapsed).toFixed(2)} msg/sec`);
         console.log(`Errors: ${this.messageStats.errors}`);
         console.log('─'.repeat(50));
     }
 
+    /**
+     * Display webhook delivery statistics
+     */
+    showWebhookStats() {
+        if (!this.config.webhooks?.enabled) return;
+
+        console.log(`\n🌐 WEBHOOK STATISTICS${this.label}`);
+        console.log(`Delivered: ${this.webhookStats.delivered}`);
+        console.log(`Failed: ${this.webhookStats.failed}`);
+        console.log(`Retries: ${this.webhookStats.retries}`);
+        console.log(`Dead-lettered: ${this.webhookStats.deadLettered}`);
+        console.log('Deliveries by endpoint:');
+
+        Object.entries(this.webhookStats.byEndpoint).forEach(([url, counts]) => {
+            console.log(`  ${url}: ${counts.delivered} delivered, ${counts.failed} failed`);
+        });
+        console.log('─'.repeat(40));
+    }
+
+    /**
+     * Display filter rule hit counts
+     */
+    showRuleStats() {
+        if (!this.config.filters?.enabled) return;
+
+        console.log(`\n🔍 FILTER RULE STATISTICS${this.label}`);
+        Object.entries(this.ruleStats.byRule).forEach(([name, count]) => {
+            console.log(`${name}: ${count} hits`);
+        });
+        console.log('─'.repeat(40));
+    }
+
+    /**
+     * Display transformer plugin statistics
+     */
+    showPluginStats() {
+        if (!this.config.plugins?.enabled) return;
+
+        console.log(`\n🧩 PLUGIN STATISTICS${this.label}`);
+        Object.entries(this.pluginStats.byPlugin).forEach(([name, stats]) => {
+            console.log(`${name}: ${stats.runs} runs, ${stats.dropped} dropped, ${stats.errors} errors, avg ${stats.averageTime.toFixed(2)}ms, max ${stats.maxTime.toFixed(2)}ms`);
+            if (stats.lastError) {
+                console.log(`  Last error: ${stats.lastError}`);
+            }
+        });
+        console.log('─'.repeat(40));
+    }
+
+    /**
+     * Display outbox statistics
+     */
+    showOutboxStats() {
+        if (!this.config.outbox?.enabled) return;
+
+        console.log(`\n📦 OUTBOX STATISTICS${this.label}`);
+        console.log(`Depth: ${this.outboxStats.depth} events`);
+        console.log(`Queued: ${this.outboxStats.queued}`);
+        console.log(`Replayed: ${this.outboxStats.replayed}`);
+        console.log(`Dropped: ${this.outboxStats.dropped}`);
+        console.log('─'.repeat(40));
+    }
+
     /**
      * Display performance statistics
      */
@@ -158,11 +491,14 @@ class StatsCollector {
 
         const perf = this.performanceStats;
         
-        console.log('\n⚡ PERFORMANCE STATISTICS');
+        console.log(`\n⚡ PERFORMANCE STATISTICS${this.label}`);
         console.log(`Average processing time: ${perf.averageProcessingTime.toFixed(2)}ms`);
         console.log(`Min processing time: ${perf.minProcessingTime === Infinity ? 'N/A' : perf.minProcessingTime.toFixed(2)}ms`);
         console.log(`Max processing time: ${perf.maxProcessingTime.toFixed(2)}ms`);
         console.log(`Samples: ${perf.eventProcessingTimes.length}`);
+        console.log(`Events pushed/polled: ${this.transportStats.pushed}/${this.transportStats.polled}`);
+        console.log(`Average emit-to-publish latency: ${this.transportStats.averageLatency.toFixed(2)}ms`);
+        console.log(`Max emit-to-publish latency: ${this.transportStats.maxLatency.toFixed(2)}ms`);
         console.log('─'.repeat(40));
     }
 
@@ -171,10 +507,7 @@ class StatsCollector {
      */
     getStatsSummary() {
         const elapsed = (Date.now() - this.eventStats.lastReset) / 1000;
-        const totalMessages = this.messageStats.mainSubject + 
-                             this.messageStats.contactSubject + 
-                             this.messageStats.ignoredSubject + 
-                             this.messageStats.presenceSubject;
+        const totalMessages = this.getTotalMessages();
 
         return {
             events: {
@@ -183,29 +516,61 @@ class StatsCollector {
                 errors: this.eventStats.errors,
                 filtered: this.eventStats.filtered,
                 ignored: this.eventStats.ignored,
+                quarantined: this.eventStats.quarantined,
+                dropped: this.eventStats.dropped,
                 byType: { ...this.eventStats.byType }
             },
             messages: {
                 total: totalMessages,
                 rate: (totalMessages / elapsed).toFixed(2),
                 errors: this.messageStats.errors,
-                bySubject: {
-                    main: this.messageStats.mainSubject,
-                    contact: this.messageStats.contactSubject,
-                    ignored: this.messageStats.ignoredSubject,
-                    presence: this.messageStats.presenceSubject
-                }
+                bySubject: { ...this.messageStats.bySubject }
+            },
+            rules: {
+                byRule: { ...this.ruleStats.byRule }
+            },
+            plugins: {
+                byPlugin: JSON.parse(JSON.stringify(this.pluginStats.byPlugin))
             },
+            webhooks: {
+                delivered: this.webhookStats.delivered,
+                failed: this.webhookStats.failed,
+                retries: this.webhookStats.retries,
+                deadLettered: this.webhookStats.deadLettered,
+                byEndpoint: JSON.parse(JSON.stringify(this.webhookStats.byEndpoint))
+            },
+            outbox: { ...this.outboxStats },
             performance: {
                 averageProcessingTime: this.performanceStats.averageProcessingTime,
                 minProcessingTime: this.performanceStats.minProcessingTime === Infinity ? null : this.performanceStats.minProcessingTime,
                 maxProcessingTime: this.performanceStats.maxProcessingTime,
                 samples: this.performanceStats.eventProcessingTimes.length
             },
+            transport: {
+                pushed: this.transportStats.pushed,
+                polled: this.transportStats.polled,
+                averageLatency: this.transportStats.averageLatency,
+                maxLatency: this.transportStats.maxLatency,
+                latencySamples: this.transportStats.latencies.length
+            },
             uptime: elapsed
         };
     }
 
+    /**
+     * Get published message counts keyed by NATS subject name
+     */
+    getMessageCountsBySubject() {
+        return { ...this.messageStats.bySubject };
+    }
+
+    /**
+     * Get copies of the processing time and latency histograms
+     */
+    getHistograms() {
+        return JSON.parse(JSON.stringify(this.histograms));
+    }
+
     /**
      * Reset statistics
      */
@@ -216,18 +581,49 @@ class StatsCollector {
             lastReset: Date.now(),
             errors: 0,
             filtered: 0,
-            ignored: 0
+            ignored: 0,
+            quarantined: 0,
+            dropped: 0
         };
 
         this.messageStats = {
-            mainSubject: 0,
-            contactSubject: 0,
-            ignoredSubject: 0,
-            presenceSubject: 0,
+            bySubject: this.createSubjectCounts(),
             lastReset: Date.now(),
             errors: 0
         };
 
+        this.ruleStats = {
+            byRule: this.createRuleCounts()
+        };
+
+        this.pluginStats = {
+            byPlugin: this.createPluginCounts()
+        };
+
+        this.webhookStats = {
+            delivered: 0,
+            failed: 0,
+            retries: 0,
+            deadLettered: 0,
+            byEndpoint: {},
+            lastReset: Date.now()
+        };
+
+        this.outboxStats = {
+            depth: this.outboxStats.depth,
+            queued: 0,
+            replayed: 0,
+            dropped: 0
+        };
+
+        this.transportStats = {
+            pushed: 0,
+            polled: 0,
+            latencies: [],
+            averageLatency: 0,
+            maxLatency: 0
+        };
+
         this.performanceStats = {
             eventProcessingTimes: [],
             averageProcessingTime: 0,
@@ -235,6 +631,8 @@ class StatsCollector {
             minProcessingTime: Infinity
         };
 
+        this.histograms = this.createHistograms();
+
         console.log('📊 Statistics reset');
     }
 
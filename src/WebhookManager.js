@@ -0,0 +1,202 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * WebhookManager - Handles webhook delivery of transformed events
+ * Responsibilities:
+ * - HTTP delivery to configured endpoints
+ * - Per-endpoint event type filtering
+ * - HMAC request signing
+ * - Retry with exponential backoff and dead-letter storage
+ */
+class WebhookManager {
+    constructor(config, debugLog) {
+        this.config = config;
+        this.debugLog = debugLog;
+        this.settings = config.webhooks || {};
+        this.endpoints = this.settings.endpoints || [];
+        this.retriesCancelled = false;
+        this.pendingRetryTimers = new Set();
+    }
+
+    /**
+     * Check if webhook delivery is enabled
+     */
+    isEnabled() {
+        return !!this.settings.enabled && this.endpoints.length > 0;
+    }
+
+    /**
+     * Deliver event to every endpoint subscribed to its type
+     */
+    async deliver(eventData, eventType) {
+        if (!this.isEnabled()) return [];
+
+        const transformedType = eventData?.data?.type;
+        const targets = this.endpoints.filter(endpoint =>
+            this.acceptsEvent(endpoint, eventType, transformedType)
+        );
+
+        return Promise.all(targets.map(endpoint =>
+            this.deliverToEndpoint(endpoint, eventData, eventType)
+        ));
+    }
+
+    /**
+     * Check if endpoint is subscribed to the event type
+     */
+    acceptsEvent(endpoint, eventType, transformedType) {
+        if (!endpoint.eventTypes || endpoint.eventTypes.length === 0) {
+            return true;
+        }
+        return endpoint.eventTypes.includes(eventType) ||
+               (!!transformedType && endpoint.eventTypes.includes(transformedType));
+    }
+
+    /**
+     * Deliver event to a single endpoint, retrying with exponential backoff
+     */
+    async deliverToEndpoint(endpoint, eventData, eventType) {
+        const body = JSON.stringify(eventData);
+        const maxRetries = this.settings.maxRetries ?? 5;
+        const baseDelay = this.settings.retryDelay ?? 1000;
+        let lastError = null;
+        let attempts = 0;
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            if (attempt > 0) {
+                const delay = baseDelay * Math.pow(2, attempt - 1);
+                this.debugLog(`Retrying webhook ${endpoint.url} in ${delay}ms (attempt ${attempt + 1})`);
+                await this.waitForRetry(delay);
+
+                // Shutting down: dead-letter now instead of losing the delivery with the process
+                if (this.retriesCancelled) break;
+            }
+
+            attempts = attempt + 1;
+            try {
+                await axios.post(endpoint.url, body, {
+                    headers: this.buildHeaders(endpoint, body, eventType),
+                    timeout: this.settings.timeout || 10000
+                });
+
+                if (this.config.debug.enabled) {
+                    console.log(`🌐 Event delivered to ${endpoint.url}: ${eventType}`);
+                }
+
+                return {
+                    endpoint: endpoint.url,
+                    success: true,
+                    attempts: attempt + 1
+                };
+            } catch (error) {
+                lastError = error;
+                this.debugLog(`Webhook delivery to ${endpoint.url} failed: ${error.message}`);
+
+                if (!this.isRetryable(error)) break;
+            }
+        }
+
+        console.error(`✗ Webhook delivery to ${endpoint.url} failed after ${attempts} attempt${attempts === 1 ? '' : 's'}`);
+        this.writeDeadLetter(endpoint, eventData, eventType, lastError);
+
+        return {
+            endpoint: endpoint.url,
+            success: false,
+            attempts: attempts,
+            deadLettered: true,
+            error: lastError?.message
+        };
+    }
+
+    /**
+     * Wait before the next attempt; cancelRetries() ends the wait early
+     */
+    waitForRetry(delay) {
+        return new Promise(resolve => {
+            const wake = () => {
+                clearTimeout(timer);
+                this.pendingRetryTimers.delete(wake);
+                resolve();
+            };
+            const timer = setTimeout(wake, delay);
+            this.pendingRetryTimers.add(wake);
+        });
+    }
+
+    /**
+     * Stop retrying: deliveries waiting for their next attempt are dead-lettered right away
+     */
+    cancelRetries() {
+        this.retriesCancelled = true;
+        [...this.pendingRetryTimers].forEach(wake => wake());
+    }
+
+    /**
+     * Retry failed deliveries again (after the bridge is started again)
+     */
+    resumeRetries() {
+        this.retriesCancelled = false;
+    }
+
+    /**
+     * Check if a failed delivery can succeed later
+     * Network errors, 5xx, 408 and 429 are retried; other 4xx responses are permanent
+     */
+    isRetryable(error) {
+        const status = error?.response?.status;
+        if (!status) return true;
+        return status >= 500 || status === 408 || status === 429;
+    }
+
+    /**
+     * Build request headers, including the HMAC signature when a secret is set
+     */
+    buildHeaders(endpoint, body, eventType) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Bridge-Event': eventType,
+            ...(endpoint.headers || {})
+        };
+
+        const secret = endpoint.secret || this.settings.secret;
+        if (secret) {
+            const headerName = this.settings.signatureHeader || 'X-Bridge-Signature';
+            headers[headerName] = `sha256=${this.sign(body, secret)}`;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Compute HMAC-SHA256 hex digest of the request body
+     */
+    sign(body, secret) {
+        return crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    /**
+     * Append undeliverable event to the dead-letter file
+     */
+    writeDeadLetter(endpoint, eventData, eventType, error) {
+        const deadLetterFile = this.settings.deadLetterFile || './deadletter/webhooks.jsonl';
+
+        try {
+            fs.mkdirSync(path.dirname(path.resolve(deadLetterFile)), { recursive: true });
+            fs.appendFileSync(deadLetterFile, JSON.stringify({
+                failedAt: new Date().toISOString(),
+                endpoint: endpoint.url,
+                eventType: eventType,
+                error: error?.message || null,
+                status: error?.response?.status || null,
+                event: eventData
+            }) + '\n');
+        } catch (writeError) {
+            console.error('Error writing webhook dead letter:', writeError.message);
+        }
+    }
+}
+
+module.exports = WebhookManager;
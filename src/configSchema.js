@@ -0,0 +1,267 @@
+/**
+ * Configuration schemas used by ConfigLoader
+ *
+ * Node types: object (properties / values), array (items), string, number, integer, boolean.
+ * Leaves may declare `default`, `enum`, `pattern`, `min`, `required`, and `env` (extra environment
+ * variable names besides the WABRIDGE_<PATH> name derived from the key path).
+ * Objects may declare `aliases` mapping deprecated keys to their replacement.
+ */
+
+const string = (defaultValue, extra = {}) => ({ type: 'string', default: defaultValue, ...extra });
+const number = (defaultValue, extra = {}) => ({ type: 'number', default: defaultValue, ...extra });
+const integer = (defaultValue, extra = {}) => ({ type: 'integer', default: defaultValue, min: 0, ...extra });
+const boolean = (defaultValue, extra = {}) => ({ type: 'boolean', default: defaultValue, ...extra });
+const stringArray = (defaultValue, extra = {}) => ({ type: 'array', items: { type: 'string' }, default: defaultValue, ...extra });
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+
+const configSchema = object({
+    debug: object({
+        enabled: boolean(true, { env: ['WABRIDGE_DEBUG'] }),
+        statsInterval: integer(10000, { min: 1000 })
+    }),
+    messageStats: object({
+        enabled: boolean(true),
+        displayInterval: integer(15000, { min: 1000 })
+    }),
+    injection: object({
+        maxAttempts: integer(2),
+        retryInterval: integer(2000),
+        verificationTimeout: integer(5000)
+    }),
+    polling: object({
+        mode: string('push', { enum: ['push', 'poll'] }),
+        interval: integer(1000, { min: 10 }),
+        maxRetries: integer(3),
+        retryDelay: integer(2000)
+    }),
+    admin: object({
+        enabled: boolean(true),
+        host: string('127.0.0.1'),
+        port: integer(8080, { min: 1 }),
+        token: string('')
+    }),
+    metrics: object({
+        prefix: string('whatsapp_bridge'),
+        buckets: { type: 'array', items: { type: 'number' }, default: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10] }
+    }),
+    recovery: object({
+        enabled: boolean(true),
+        maxRestarts: integer(5),
+        initialDelay: integer(5000),
+        maxDelay: integer(60000),
+        stableAfter: integer(300000)
+    }),
+    nats: object({
+        servers: stringArray(['nats://localhost:4222'], { env: ['WABRIDGE_NATS_SERVERS'] }),
+        subject: string('whatsapp.events'),
+        subjectTemplate: string('', { pattern: '^([^{}]|\\{(chat_type|chat_id|event_type)\\})*$' }),
+        contactSubject: string('whatsapp.contact'),
+        chatSubject: string('whatsapp.chat'),
+        callSubject: string('whatsapp.call'),
+        ignoredSubject: string('whatsapp.ignore'),
+        quarantineSubject: string('whatsapp.quarantine'),
+        presenceSubject: string('whatsapp.precense'),
+        commandSubjectPrefix: string('whatsapp.commands'),
+        authSubject: string('whatsapp.auth'),
+        lifecycleSubject: string('whatsapp.lifecycle'),
+        maxReconnect: integer(5),
+        jetstream: object({
+            enabled: boolean(false),
+            stream: string('WHATSAPP'),
+            subjects: stringArray([]),
+            duplicateWindow: integer(120000),
+            ackTimeout: integer(5000)
+        })
+    }, {
+        aliases: { precenseSubject: 'presenceSubject' }
+    }),
+    webhooks: object({
+        enabled: boolean(false),
+        secret: string(''),
+        signatureHeader: string('X-Bridge-Signature'),
+        timeout: integer(10000),
+        maxRetries: integer(5),
+        retryDelay: integer(1000),
+        deadLetterFile: string('./deadletter/webhooks.jsonl'),
+        endpoints: {
+            type: 'array',
+            default: [],
+            items: object({
+                url: string(undefined, { required: true }),
+                secret: string(undefined),
+                eventTypes: stringArray(undefined),
+                headers: { type: 'object', values: { type: 'string' } }
+            })
+        }
+    }),
+    plugins: object({
+        enabled: boolean(true),
+        directory: string('./plugins'),
+        order: stringArray([]),
+        watch: boolean(true)
+    }),
+    filters: object({
+        enabled: boolean(true),
+        file: string('./config/filters.json')
+    }),
+    schemas: object({
+        enabled: boolean(true),
+        directory: string('./schemas'),
+        version: integer(1, { min: 1 })
+    }),
+    outbox: object({
+        enabled: boolean(true),
+        directory: string('./outbox'),
+        segmentMaxBytes: integer(1048576, { min: 1024 }),
+        maxBytes: integer(104857600, { min: 1024 }),
+        retention: integer(604800000),
+        replayInterval: integer(5000, { min: 100 })
+    }),
+    simulator: object({
+        enabled: boolean(false),
+        phoneNumber: string('15550000000', { pattern: '^[0-9]+$' }),
+        scenario: string(''),
+        random: boolean(true),
+        interval: integer(2000, { min: 10 }),
+        seed: integer(0),
+        contacts: integer(5, { min: 1 }),
+        groups: integer(2),
+        ackDelay: integer(1000)
+    }),
+    recording: object({
+        enabled: boolean(false),
+        directory: string('./recordings'),
+        segmentMaxBytes: integer(10485760, { min: 1024 }),
+        maxFiles: integer(20, { min: 1 })
+    }),
+    media: object({
+        enabled: boolean(false),
+        directory: string('./media'),
+        maxSize: integer(104857600),
+        types: stringArray(['image', 'video', 'audio', 'document', 'sticker', 'ptt', 'ptv'])
+    }),
+    accounts: {
+        type: 'array',
+        default: [],
+        items: object({
+            id: string(undefined, { required: true, pattern: '^[A-Za-z0-9_-]+$' }),
+            enabled: boolean(true),
+            userDataDir: string(undefined),
+            subjectPrefix: string(undefined),
+            headless: boolean(undefined)
+        })
+    },
+    browser: object({
+        headless: boolean(false, { env: ['WABRIDGE_HEADLESS'] }),
+        userDataDir: string('./session', { env: ['WABRIDGE_USER_DATA_DIR'] }),
+        userAgent: string(undefined),
+        executablePath: string(undefined, { required: true, env: ['WABRIDGE_EXECUTABLE_PATH'] }),
+        args: stringArray([])
+    }),
+    whatsapp: object({
+        url: string('https://web.whatsapp.com'),
+        authTimeout: integer(300000),
+        qrCheckInterval: integer(1000, { min: 100 }),
+        selectors: object({
+            qrCode: string("div[data-testid='qr-code']"),
+            qrCodeData: string('div[data-ref]'),
+            mainApp: string('#app .two'),
+            chatList: string("div[data-testid='chat-list']")
+        })
+    })
+});
+
+const eventTypesSchema = object({
+    eventTypes: { type: 'object', values: { type: 'string' } },
+    messageTypes: stringArray(undefined),
+    ignoredTypes: {
+        type: 'array',
+        items: object({
+            type: string(undefined, { required: true }),
+            subtypes: stringArray(undefined)
+        })
+    },
+    groupActions: { type: 'object', values: { type: 'string' } },
+    routes: {
+        type: 'array',
+        default: [
+            { match: ['contact_*', 'contacts_initial'], subjects: ['contactSubject'] },
+            { match: ['presence_*'], subjects: ['presenceSubject'] },
+            { match: ['chat_*', 'chats_initial'], subjects: ['chatSubject'] },
+            { match: ['call_*'], subjects: ['callSubject'] }
+        ],
+        items: object({
+            match: stringArray(undefined, { required: true }),
+            subjects: stringArray(undefined, { required: true })
+        })
+    }
+});
+
+const filterConditions = () => object({
+    chatIds: stringArray(undefined),
+    senders: stringArray(undefined),
+    isGroup: boolean(undefined),
+    fromMe: boolean(undefined),
+    types: stringArray(undefined),
+    mimetypes: stringArray(undefined),
+    body: string(undefined),
+    bodyFlags: string(undefined, { pattern: '^[imsu]*$' })
+});
+
+const filterRulesSchema = object({
+    rules: {
+        type: 'array',
+        default: [],
+        items: object({
+            name: string(undefined, { required: true }),
+            enabled: boolean(true),
+            match: filterConditions(),
+            except: filterConditions(),
+            action: string(undefined, { required: true, enum: ['drop', 'route', 'tag'] }),
+            subjects: stringArray(undefined),
+            tags: stringArray(undefined)
+        })
+    }
+});
+
+const simulatorScenarioSchema = object({
+    loop: boolean(false),
+    steps: {
+        type: 'array',
+        default: [],
+        items: object({
+            delay: integer(0),
+            action: string(undefined, { required: true, enum: ['message', 'ack', 'edit', 'reaction', 'vote', 'call', 'chat', 'contact', 'presence', 'connection', 'disconnect'] }),
+            as: string(undefined),
+            chat: string(undefined),
+            from: string(undefined),
+            fromMe: boolean(undefined),
+            body: string(undefined),
+            type: string(undefined),
+            mimetype: string(undefined),
+            message: string(undefined),
+            ack: integer(undefined, { min: 1 }),
+            emoji: string(undefined),
+            options: stringArray(undefined),
+            multiple: boolean(undefined),
+            call: string(undefined),
+            video: boolean(undefined),
+            event: string(undefined, { enum: ['add', 'change', 'remove', 'clear'] }),
+            archive: boolean(undefined),
+            pin: boolean(undefined),
+            mute: boolean(undefined),
+            markUnread: boolean(undefined),
+            number: string(undefined),
+            name: string(undefined),
+            pushname: string(undefined),
+            state: string(undefined)
+        })
+    }
+});
+
+module.exports = {
+    configSchema,
+    eventTypesSchema,
+    filterRulesSchema,
+    simulatorScenarioSchema
+};
@@ -8,11 +8,20 @@
 
   function emit(event, raw) {
     try {
-      window.whatsappEvents.push({
+      const entry = {
         type: event,
         data: raw,
         timestamp: Date.now()
-      });
+      };
+
+      // Push mode: hand the event straight to Node, falling back to the polled queue
+      if (typeof window.whatsappPush === 'function') {
+        window.whatsappPush(entry).catch(() => {
+          window.whatsappEvents.push(entry);
+        });
+      } else {
+        window.whatsappEvents.push(entry);
+      }
       log(`Event emitted: ${event}`);
     } catch (e) {
       log('Emit error: ' + String(e));
@@ -47,6 +56,11 @@
       if (msg.forwarded) result.forwarded = msg.forwarded;
       if (msg.quotedMsg) result.quotedMsg = { id: msg.quotedMsg.id, body: msg.quotedMsg.body };
       if (msg.mentionedJidList) result.mentionedJidList = msg.mentionedJidList;
+
+      // Poll fields
+      if (msg.pollName) result.pollName = msg.pollName;
+      if (msg.pollOptions) result.pollOptions = msg.pollOptions.map(option => ({ name: option.name, localId: option.localId }));
+      if (msg.pollSelectableOptionsCount !== undefined) result.pollSelectableOptionsCount = msg.pollSelectableOptionsCount;
       
       // Try to serialize full object as backup
       try {
@@ -170,11 +184,29 @@
       } catch (e) {
         log('ProfilePic bridge not found: ' + e.message);
       }
+
+      // Add message sending modules (used by outbound commands)
+      try {
+        window.Store.MsgKey = window.require('WAWebMsgKey');
+        log('Added MsgKey');
+      } catch (e) {
+        log('MsgKey not found: ' + e.message);
+      }
+      try {
+        window.Store.SendMessage = window.require('WAWebSendMsgChatAction');
+        log('Added SendMessage');
+      } catch (e) {
+        log('SendMessage not found: ' + e.message);
+      }
       
       // Add media download functions
       try {
         // Try to get download manager
         const downloadManager = window.require('WAWebDownloadManager');
+        if (downloadManager && downloadManager.downloadManager) {
+          window.Store.DownloadManager = downloadManager.downloadManager;
+          log('Added DownloadManager');
+        }
         if (downloadManager && downloadManager.downloadMedia) {
           window.Store.downloadMedia = downloadManager.downloadMedia;
           log('Added downloadMedia from DownloadManager');
@@ -351,6 +383,136 @@
     return null;
   }
 
+  function commandError(code, message) {
+    return { success: false, error: { code, message } };
+  }
+
+  async function sendTextMessage(chatId, body, quotedMsgId) {
+    try {
+      const Store = window.Store;
+      if (!Store || !Store.Chat || !Store.MsgKey || !Store.SendMessage || !Store.WidFactory) {
+        return commandError('store_unavailable', 'WhatsApp Store is not ready for sending');
+      }
+
+      const chatWid = Store.WidFactory.createWid(chatId);
+      const chat = Store.Chat.get(chatWid) || (Store.Chat.find ? await Store.Chat.find(chatWid) : null);
+      if (!chat) {
+        return commandError('chat_not_found', 'Chat not found: ' + chatId);
+      }
+
+      let quotedOptions = {};
+      if (quotedMsgId) {
+        const quotedMsg = Store.Msg.get(quotedMsgId);
+        if (!quotedMsg) {
+          return commandError('quoted_message_not_found', 'Quoted message not found: ' + quotedMsgId);
+        }
+        quotedOptions = quotedMsg.msgContextInfo(chat);
+      }
+
+      const meUser = Store.User.getMaybeMeUser ? Store.User.getMaybeMeUser() : Store.User.getMeUser();
+      const isGroup = chat.id.server === 'g.us';
+      const MsgKey = Store.MsgKey.default || Store.MsgKey;
+      const newMsgId = new MsgKey({
+        from: meUser,
+        to: chat.id,
+        id: await MsgKey.newId(),
+        participant: isGroup ? meUser : undefined,
+        selfDir: 'out'
+      });
+
+      await Store.SendMessage.addAndSendMsgToChat(chat, {
+        id: newMsgId,
+        ack: 0,
+        body: body,
+        from: meUser,
+        to: chat.id,
+        local: true,
+        self: 'out',
+        t: Math.floor(Date.now() / 1000),
+        isNewMsg: true,
+        type: 'chat',
+        ...quotedOptions
+      });
+
+      log('Text message sent to ' + chatId);
+      return { success: true, messageId: newMsgId._serialized };
+    } catch (e) {
+      log('Send text error: ' + String(e));
+      return commandError('send_failed', e.message || String(e));
+    }
+  }
+
+  function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const chunkSize = 0x8000;
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+  }
+
+  async function downloadMessageMedia(msgId, maxSize) {
+    try {
+      const Store = window.Store;
+      const msg = Store && Store.Msg && Store.Msg.get(msgId);
+      if (!msg) {
+        return commandError('message_not_found', 'Message not found: ' + msgId);
+      }
+      if (!msg.mediaKey || !msg.directPath) {
+        return commandError('no_media', 'Message has no downloadable media');
+      }
+      // Refuse oversized media before it is fetched, decrypted and copied out of the page
+      if (maxSize && msg.size > maxSize) {
+        return commandError('media_too_large', 'Media size ' + msg.size + ' exceeds limit of ' + maxSize + ' bytes');
+      }
+
+      let buffer = null;
+
+      // Preferred: fetch and decrypt directly through the download manager
+      if (Store.DownloadManager && typeof Store.DownloadManager.downloadAndMaybeDecrypt === 'function') {
+        buffer = await Store.DownloadManager.downloadAndMaybeDecrypt({
+          directPath: msg.directPath,
+          encFilehash: msg.encFilehash,
+          filehash: msg.filehash,
+          mediaKey: msg.mediaKey,
+          mediaKeyTimestamp: msg.mediaKeyTimestamp,
+          type: msg.type,
+          signal: new AbortController().signal
+        });
+      }
+
+      // Fallback: resolve media through Store.downloadMedia and read the blob
+      if (!buffer && Store.downloadMedia) {
+        await Store.downloadMedia(msg, { downloadEvenIfExpensive: true, rmrReason: 1 });
+        const blob = msg.mediaData && msg.mediaData.mediaBlob;
+        if (blob) {
+          buffer = await (blob.forceToBlob ? blob.forceToBlob() : blob).arrayBuffer();
+        }
+      }
+
+      if (!buffer) {
+        return commandError('download_failed', 'No media data available');
+      }
+
+      return {
+        success: true,
+        data: arrayBufferToBase64(buffer),
+        mimetype: msg.mimetype || null,
+        filehash: msg.filehash || null
+      };
+    } catch (e) {
+      log('Media download error: ' + String(e));
+      return commandError('download_failed', e.message || String(e));
+    }
+  }
+
+  // Outbound command interface used by the bridge
+  window.whatsappCommands = {
+    sendTextMessage,
+    downloadMessageMedia
+  };
+
   async function waitForStore() {
     for (let i = 0; i < 300; i++) { // up to ~30s
       const store = findStore();
@@ -446,8 +608,65 @@
           return true;
         };
         
+        // Last known text of recent messages, so edits can report what was replaced
+        // (media messages keep a thumbnail in body; their text is the caption)
+        const knownTexts = new Map();
+        const reportedEdits = new Map(); // message id -> edit time (or text) last emitted
+        const listenersAttachedAt = Date.now();
+        const getText = (msg) => (msg.type === 'chat' ? msg.body : msg.caption);
+        const rememberText = (msg) => {
+          if (!msg || !msg.id || !msg.id._serialized || typeof getText(msg) !== 'string') return;
+          knownTexts.delete(msg.id._serialized);
+          knownTexts.set(msg.id._serialized, getText(msg));
+          if (knownTexts.size > 1000) {
+            knownTexts.delete(knownTexts.keys().next().value);
+          }
+        };
+
+        const getEditor = (msg) => {
+          const editor = msg.latestEditMsgKey?.participant || msg.author || msg.id?.participant ||
+            (msg.id?.fromMe ? Store.User?.getMaybeMeUser?.() : msg.from);
+          return editor ? (editor._serialized || String(editor)) : null;
+        };
+
+        // WhatsApp Web updates edited messages in place and stamps the time of the latest edit
+        const checkEdit = (msg) => {
+          const messageId = msg && msg.id && msg.id._serialized;
+          if (!messageId) return;
+
+          const hasPrevious = knownTexts.has(messageId);
+          const previousText = knownTexts.get(messageId);
+          const text = getText(msg);
+          const editTime = msg.latestEditSenderTimestampMs || null;
+          const textChanged = hasPrevious && typeof text === 'string' && previousText !== text;
+          const isNewEdit = !!editTime && editTime >= listenersAttachedAt;
+          rememberText(msg);
+
+          if (!textChanged && !isNewEdit) return;
+
+          // Later changes of the same message (acks) still carry the edit time
+          const editKey = editTime || text;
+          if (reportedEdits.get(messageId) === editKey) return;
+          reportedEdits.set(messageId, editKey);
+          if (reportedEdits.size > 1000) {
+            reportedEdits.delete(reportedEdits.keys().next().value);
+          }
+
+          log('Message edited');
+          const result = serializeMsg(msg);
+          result.edit = {
+            newBody: typeof text === 'string' ? text : null,
+            previousBody: hasPrevious ? previousText : null,
+            editTimestamp: Math.floor((editTime || Date.now()) / 1000),
+            editor: getEditor(msg),
+            editMsgId: msg.latestEditMsgKey?.id || null
+          };
+          emit('message_edited', result);
+        };
+
         if (Store.Msg.on) {
           Store.Msg.on('add', (msg) => {
+            rememberText(msg);
             if (shouldProcessMessage(msg, 'create')) {
               log('Message added: ' + (msg.body || msg.type || 'unknown'));
               emit('message_create', serializeMsg(msg));
@@ -455,7 +674,9 @@
           });
           
           Store.Msg.on('change', (msg) => {
-            // Only process ack changes, ignore other changes
+            checkEdit(msg);
+
+            // Other than edits, only ack changes are processed
             if (msg.ack !== undefined) {
               if (msg.ack === 1 && shouldProcessMessage(msg, 'received')) {
                 log('Message received: ack=1');
@@ -570,6 +791,126 @@
       log('Contact setup error: ' + String(e));
     }
 
+    // Chat lifecycle events (archive, pin, mute, unread, clear, delete) with deduplication and batching
+    try {
+      const getChatCollection = () => {
+        if (Store.Chat && typeof Store.Chat.on === 'function') return Store.Chat;
+        try {
+          const mod = window.require && window.require('WAWebChatCollection');
+          if (mod && mod.ChatCollection) return mod.ChatCollection;
+        } catch (e) {}
+        return null;
+      };
+
+      const Chat = getChatCollection();
+      if (Chat && typeof Chat.on === 'function') {
+        log('Setting up chat listeners');
+        const seen = new Map();
+        const shouldProcess = (key, ttlMs) => {
+          const now = Date.now();
+          const last = seen.get(key) || 0;
+          if (now - last < ttlMs) return false;
+          seen.set(key, now);
+          if (seen.size > 1000) {
+            const cutoff = now - 10 * 60 * 1000;
+            for (const [k, ts] of seen) if (ts < cutoff) seen.delete(k);
+          }
+          return true;
+        };
+        const getId = (chat) => chat?.id?._serialized || chat?.id || 'unknown';
+        const countMessages = (chat) => {
+          const msgs = chat && chat.msgs;
+          if (!msgs) return 0;
+          if (typeof msgs.length === 'number') return msgs.length;
+          if (typeof msgs.getModelsArray === 'function') return msgs.getModelsArray().length;
+          return Array.isArray(msgs.models) ? msgs.models.length : 0;
+        };
+
+        // Attributes compared between changes to tell what happened to a chat
+        const snapshotChat = (chat) => ({
+          archive: !!chat.archive,
+          pin: chat.pin || 0,
+          muteExpiration: chat.muteExpiration || 0,
+          unreadCount: chat.unreadCount || 0,
+          messageCount: countMessages(chat)
+        });
+        const snapshots = new Map();
+
+        const serializeChat = (chat, change) => {
+          const result = { id: chat.id };
+          if (chat.name || chat.formattedTitle) result.name = chat.name || chat.formattedTitle;
+          if (chat.isGroup !== undefined) result.isGroup = chat.isGroup;
+          Object.assign(result, snapshotChat(chat));
+          if (chat.t) result.timestamp = chat.t;
+          if (change) result.change = change;
+          return result;
+        };
+
+        Chat.on('add', (chat) => {
+          snapshots.set(getId(chat), snapshotChat(chat));
+          if (!shouldProcess(`${getId(chat)}_add`, 120000)) return;
+          emit('chat_add', serializeChat(chat));
+        });
+
+        Chat.on('change', (chat) => {
+          const id = getId(chat);
+          const previous = snapshots.get(id) || snapshotChat(chat);
+          const current = snapshotChat(chat);
+          snapshots.set(id, current);
+
+          ['archive', 'pin', 'muteExpiration', 'unreadCount'].forEach(field => {
+            if (previous[field] === current[field]) return;
+            if (!shouldProcess(`${id}_change_${field}_${current[field]}`, 5000)) return;
+            emit('chat_change', serializeChat(chat, { field, from: previous[field], to: current[field] }));
+          });
+
+          // New messages only grow the count; an empty chat that had messages was cleared
+          if (previous.messageCount > 0 && current.messageCount === 0 && shouldProcess(`${id}_clear`, 5000)) {
+            emit('chat_change', serializeChat(chat, { field: 'messageCount', from: previous.messageCount, to: 0 }));
+          }
+        });
+
+        Chat.on('remove', (chat) => {
+          snapshots.delete(getId(chat));
+          if (!shouldProcess(`${getId(chat)}_remove`, 120000)) return;
+          emit('chat_remove', serializeChat(chat));
+        });
+
+        // Initial chats batching
+        try {
+          const getAll = () => {
+            if (typeof Chat.getModelsArray === 'function') return Chat.getModelsArray();
+            if (Array.isArray(Chat.models)) return Chat.models;
+            return [];
+          };
+          const all = getAll();
+          all.forEach(chat => snapshots.set(getId(chat), snapshotChat(chat)));
+          const total = all.length;
+          if (total > 0) {
+            const batchSize = 200;
+            for (let i = 0; i < total; i += batchSize) {
+              const slice = all.slice(i, i + batchSize).map(chat => serializeChat(chat));
+              emit('chats_initial', {
+                countTotal: total,
+                batchIndex: Math.floor(i / batchSize),
+                batchSize: slice.length,
+                chats: slice
+              });
+            }
+          }
+        } catch (e) {
+          log('Failed to emit initial chats: ' + String(e));
+        }
+
+        window.listenersInjected = (window.listenersInjected || 0) + 3;
+        log('Chat listeners attached');
+      } else {
+        log('No Chat collection available');
+      }
+    } catch (e) {
+      log('Chat setup error: ' + String(e));
+    }
+
     // Presence events (no filtering, pass-through)
     try {
       const getPresenceCollection = () => {
@@ -623,6 +964,354 @@
       log('Presence setup error: ' + String(e));
     }
 
+    // Reaction events, derived by comparing each sender's current emoji with the last one seen
+    try {
+      const getReactionsCollection = () => {
+        if (Store.Reactions && typeof Store.Reactions.on === 'function') return Store.Reactions;
+        try {
+          const mod = window.require && window.require('WAWebReactionsCollection');
+          if (mod && mod.ReactionsCollection) return mod.ReactionsCollection;
+        } catch (e) {}
+        return null;
+      };
+
+      const Reactions = getReactionsCollection();
+      if (Reactions && typeof Reactions.on === 'function') {
+        log('Setting up reaction listeners');
+        const known = new Map(); // "<parent>|<sender>" -> { emoji, parent }
+        const toArray = (list) => {
+          if (!list) return [];
+          if (Array.isArray(list)) return list;
+          if (typeof list.getModelsArray === 'function') return list.getModelsArray();
+          return Array.isArray(list.models) ? list.models : [];
+        };
+        // Models are either single sender records or per-message aggregates (reactions -> senders)
+        const getRecords = (model) => {
+          if (!model || !model.reactions) return [model];
+          return toArray(model.reactions).flatMap(group => toArray(group.senders));
+        };
+        const getParentId = (model) => model?.parentMsgKey?._serialized || model?.reactionParentKey?._serialized ||
+          model?.id?._serialized || null;
+        const getSender = (record) => {
+          const sender = record.senderUserJid || record.author || record.from;
+          return sender ? (sender._serialized || String(sender)) : null;
+        };
+        const getMe = () => {
+          try {
+            const me = Store.User && (Store.User.getMaybeMeUser ? Store.User.getMaybeMeUser() : Store.User.getMeUser());
+            return me ? me._serialized : null;
+          } catch (e) {
+            return null;
+          }
+        };
+
+        const serializeReaction = (record, emoji, previousEmoji) => {
+          const parentKey = record.parentMsgKey || record.reactionParentKey || {};
+          const remote = parentKey.remote ? (parentKey.remote._serialized || String(parentKey.remote)) : null;
+          const sender = getSender(record);
+          const me = getMe();
+          const fromMe = record.id?.fromMe !== undefined ? !!record.id.fromMe : (!!me && sender === me);
+          const timestamp = record.timestamp || record.t || Date.now();
+          return {
+            id: record.id?._serialized || null,
+            msgId: {
+              id: parentKey.id || null,
+              remote: remote,
+              fromMe: !!parentKey.fromMe,
+              _serialized: parentKey._serialized || null
+            },
+            chatId: remote,
+            sender: sender,
+            to: fromMe ? remote : me,
+            fromMe: fromMe,
+            emoji: emoji,
+            previousEmoji: previousEmoji,
+            // WhatsApp Web keeps reaction times in milliseconds; messages use seconds
+            timestamp: timestamp > 1e12 ? Math.floor(timestamp / 1000) : timestamp
+          };
+        };
+
+        const track = (model, silent) => {
+          const present = new Set();
+          getRecords(model).forEach(record => {
+            const parent = getParentId(record);
+            const sender = getSender(record);
+            if (!parent || !sender) return;
+
+            const key = parent + '|' + sender;
+            const emoji = record.reactionText || '';
+            const previous = known.get(key);
+            present.add(key);
+
+            if (!emoji) {
+              known.delete(key);
+              if (previous && !silent) emit('reaction_removed', serializeReaction(record, null, previous.emoji));
+            } else if (!previous) {
+              known.set(key, { emoji, record });
+              if (!silent) emit('reaction_added', serializeReaction(record, emoji, null));
+            } else if (previous.emoji !== emoji) {
+              known.set(key, { emoji, record });
+              if (!silent) emit('reaction_changed', serializeReaction(record, emoji, previous.emoji));
+            } else {
+              previous.record = record;
+            }
+          });
+
+          // An aggregate that no longer lists a sender means that reaction was withdrawn
+          if (model && model.reactions) {
+            const parent = getParentId(model);
+            for (const [key, entry] of known) {
+              if (key.startsWith(parent + '|') && !present.has(key)) {
+                known.delete(key);
+                if (!silent) emit('reaction_removed', serializeReaction(entry.record, null, entry.emoji));
+              }
+            }
+          }
+        };
+
+        const untrack = (model) => {
+          const parent = getParentId(model);
+          const keys = model && model.reactions ?
+            [...known.keys()].filter(key => key.startsWith(parent + '|')) :
+            [parent + '|' + getSender(model)];
+          keys.forEach(key => {
+            const entry = known.get(key);
+            if (!entry) return;
+            known.delete(key);
+            emit('reaction_removed', serializeReaction(entry.record, null, entry.emoji));
+          });
+        };
+
+        // Remember existing reactions so only later changes are emitted
+        toArray(Reactions).forEach(model => track(model, true));
+
+        Reactions.on('add', (model) => track(model, false));
+        Reactions.on('change', (model) => track(model, false));
+        Reactions.on('remove', (model) => untrack(model));
+
+        window.listenersInjected = (window.listenersInjected || 0) + 3;
+        log('Reaction listeners attached');
+      } else {
+        log('No Reactions collection available');
+      }
+    } catch (e) {
+      log('Reaction setup error: ' + String(e));
+    }
+
+    // Poll votes, with the running tally of each poll
+    try {
+      const getPollVoteCollection = () => {
+        if (Store.PollVote && typeof Store.PollVote.on === 'function') return Store.PollVote;
+        try {
+          const mod = window.require && window.require('WAWebPollVoteCollection');
+          if (mod && mod.PollVoteCollection) return mod.PollVoteCollection;
+        } catch (e) {}
+        return null;
+      };
+
+      const PollVote = getPollVoteCollection();
+      if (PollVote && typeof PollVote.on === 'function') {
+        log('Setting up poll vote listeners');
+        const polls = new Map(); // poll message id -> Map(voter -> selected option ids)
+        const toJid = (wid) => (wid ? (wid._serialized || String(wid)) : null);
+        const getMe = () => {
+          try {
+            const me = Store.User && (Store.User.getMaybeMeUser ? Store.User.getMaybeMeUser() : Store.User.getMeUser());
+            return toJid(me);
+          } catch (e) {
+            return null;
+          }
+        };
+        const getParentKey = (vote) => vote.parentMsgKey || vote.pollCreationParentKey || null;
+        const getVoter = (vote) => toJid(vote.sender || vote.author || vote.from);
+        const getSelection = (vote) => (vote.selectedOptionLocalIds || []).slice().sort((a, b) => a - b);
+
+        const record = (vote) => {
+          const parentKey = getParentKey(vote);
+          const voter = getVoter(vote);
+          if (!parentKey || !parentKey._serialized || !voter) return null;
+
+          if (!polls.has(parentKey._serialized)) {
+            polls.set(parentKey._serialized, new Map());
+            if (polls.size > 500) polls.delete(polls.keys().next().value);
+          }
+          const votes = polls.get(parentKey._serialized);
+          const selection = getSelection(vote);
+          const previous = votes.get(voter);
+          votes.set(voter, selection);
+          return previous && previous.join(',') === selection.join(',') ? null : votes;
+        };
+
+        const serializeVote = (vote, votes) => {
+          const parentKey = getParentKey(vote);
+          const remote = toJid(parentKey.remote);
+          const voter = getVoter(vote);
+          const me = getMe();
+          const fromMe = !!me && voter === me;
+          const poll = Store.Msg && Store.Msg.get(parentKey._serialized);
+          const options = (poll && poll.pollOptions) || [];
+          const nameOf = (localId) => {
+            const option = options.find(candidate => candidate.localId === localId);
+            return option ? option.name : String(localId);
+          };
+          const timestamp = vote.senderTimestampMs || vote.t || Date.now();
+
+          return {
+            msgId: {
+              id: parentKey.id || null,
+              remote: remote,
+              fromMe: !!parentKey.fromMe,
+              _serialized: parentKey._serialized
+            },
+            chatId: remote,
+            voter: voter,
+            to: fromMe ? remote : me,
+            fromMe: fromMe,
+            pollName: poll ? poll.pollName || null : null,
+            selectedOptions: getSelection(vote).map(localId => ({ localId, name: nameOf(localId) })),
+            results: options.map(option => ({
+              name: option.name,
+              localId: option.localId,
+              votes: [...votes.values()].filter(selection => selection.includes(option.localId)).length
+            })),
+            voterCount: [...votes.values()].filter(selection => selection.length > 0).length,
+            timestamp: timestamp > 1e12 ? Math.floor(timestamp / 1000) : timestamp
+          };
+        };
+
+        const handleVote = (vote) => {
+          const votes = record(vote);
+          if (votes) emit('poll_vote', serializeVote(vote, votes));
+        };
+
+        // Count existing votes so tallies are complete, without emitting them
+        const existing = typeof PollVote.getModelsArray === 'function' ? PollVote.getModelsArray() :
+          (Array.isArray(PollVote.models) ? PollVote.models : []);
+        existing.forEach(vote => record(vote));
+
+        PollVote.on('add', handleVote);
+        PollVote.on('change', handleVote);
+
+        window.listenersInjected = (window.listenersInjected || 0) + 2;
+        log('Poll vote listeners attached');
+      } else {
+        log('No PollVote collection available');
+      }
+    } catch (e) {
+      log('Poll vote setup error: ' + String(e));
+    }
+
+    // Call events, derived from the state of each call in the call collection
+    try {
+      const getCallCollection = () => {
+        if (Store.Call && typeof Store.Call.on === 'function') return Store.Call;
+        try {
+          const mod = window.require && window.require('WAWebCallCollection');
+          if (mod && mod.CallCollection) return mod.CallCollection;
+        } catch (e) {}
+        return null;
+      };
+
+      const Call = getCallCollection();
+      if (Call && typeof Call.on === 'function') {
+        log('Setting up call listeners');
+        const calls = new Map(); // call id -> { acceptedAt, finished }
+        const now = () => Math.floor(Date.now() / 1000);
+        const toJid = (wid) => (wid ? (wid._serialized || String(wid)) : null);
+        const getMe = () => {
+          try {
+            const me = Store.User && (Store.User.getMaybeMeUser ? Store.User.getMaybeMeUser() : Store.User.getMeUser());
+            return toJid(me);
+          } catch (e) {
+            return null;
+          }
+        };
+        const getParticipants = (call) => {
+          const list = call.participants;
+          const items = !list ? [] : Array.isArray(list) ? list :
+            typeof list.getModelsArray === 'function' ? list.getModelsArray() : (list.models || []);
+          return items.map(p => toJid(p && p.id ? p.id : p)).filter(Boolean);
+        };
+
+        const serializeCall = (call, tracked) => {
+          const peer = toJid(call.peerJid);
+          const me = getMe();
+          const outgoing = !!call.outgoing;
+          const duration = call.duration !== undefined ? call.duration :
+            (tracked && tracked.acceptedAt ? now() - tracked.acceptedAt : null);
+          return {
+            id: call.id,
+            peer: peer,
+            from: outgoing ? me : peer,
+            to: outgoing ? peer : me,
+            groupJid: toJid(call.groupJid),
+            isGroup: !!call.isGroup,
+            isVideo: !!call.isVideo,
+            outgoing: outgoing,
+            participants: getParticipants(call),
+            state: call.state || null,
+            offerTime: call.offerTime || null,
+            duration: tracked && tracked.finished ? duration : null,
+            timestamp: now()
+          };
+        };
+
+        // Call states differ between WhatsApp Web versions, so match on their meaning
+        const classifyState = (state) => {
+          const value = String(state || '').toUpperCase();
+          if (/REJECT|DECLIN|BUSY/.test(value)) return 'rejected';
+          if (/MISS|TIMEOUT|NO_ANSWER|UNANSWERED/.test(value)) return 'missed';
+          if (/END|TERMINAT|HANGUP|DISCONNECT/.test(value)) return 'ended';
+          if (/ACTIVE|CONNECTED|ACCEPT/.test(value)) return 'accepted';
+          return null;
+        };
+
+        const finish = (call, tracked, outcome) => {
+          if (tracked.finished) return;
+          tracked.finished = true;
+          // A call that ends before anyone answered was missed
+          const type = outcome === 'ended' && !tracked.acceptedAt ? 'missed' : outcome;
+          emit('call_' + type, serializeCall(call, tracked));
+        };
+
+        const track = (call) => {
+          const id = call && call.id;
+          if (!id) return;
+          let tracked = calls.get(id);
+          if (!tracked) {
+            tracked = { acceptedAt: null, finished: false };
+            calls.set(id, tracked);
+            if (calls.size > 200) calls.delete(calls.keys().next().value);
+            if (!call.outgoing) emit('call_incoming', serializeCall(call, tracked));
+          }
+
+          const outcome = classifyState(call.state);
+          if (outcome === 'accepted') {
+            if (!tracked.acceptedAt && !tracked.finished) {
+              tracked.acceptedAt = now();
+              emit('call_accepted', serializeCall(call, tracked));
+            }
+          } else if (outcome) {
+            finish(call, tracked, outcome);
+          }
+        };
+
+        Call.on('add', (call) => track(call));
+        Call.on('change', (call) => track(call));
+        Call.on('remove', (call) => {
+          const tracked = call && calls.get(call.id);
+          if (tracked) finish(call, tracked, 'ended');
+        });
+
+        window.listenersInjected = (window.listenersInjected || 0) + 3;
+        log('Call listeners attached');
+      } else {
+        log('No Call collection available');
+      }
+    } catch (e) {
+      log('Call setup error: ' + String(e));
+    }
+
     // Set injection completion flag
     window.injectionComplete = true;
 
@@ -1,8 +1,9 @@
-const fs = require('fs');
+const ConfigLoader = require('../src/ConfigLoader');
+const { eventTypesSchema } = require('../src/configSchema');
 
 class EventTransformers {
     constructor() {
-        this.eventTypesConfig = JSON.parse(fs.readFileSync('./config/eventTypes.json', 'utf8'));
+        this.eventTypesConfig = new ConfigLoader(eventTypesSchema, { applyEnvironment: false }).load('./config/eventTypes.json');
         this.eventTypes = this.eventTypesConfig.eventTypes || this._getDefaultEventTypes();
         this.messageTypes = this.eventTypesConfig.messageTypes || this._getDefaultMessageTypes();
         this.ignoredTypes = this.eventTypesConfig.ignoredTypes || this._getDefaultIgnoredTypes();
@@ -20,12 +21,33 @@ class EventTransformers {
             MESSAGE_PLAYED: "message_played",
             MESSAGE_CREATED: "message_created",
             MESSAGE_REVOKED: "message_revoked",
-            DISAPPEARING_MODE_CHANGED: "disappearing_mode_changed"
+            MESSAGE_EDITED: "message_edited",
+            POLL_CREATED: "poll_created",
+            POLL_VOTE: "poll_vote",
+            DISAPPEARING_MODE_CHANGED: "disappearing_mode_changed",
+            REACTION_ADDED: "reaction_added",
+            REACTION_CHANGED: "reaction_changed",
+            REACTION_REMOVED: "reaction_removed",
+            CHAT_CREATED: "chat_created",
+            CHAT_DELETED: "chat_deleted",
+            CHAT_ARCHIVED: "chat_archived",
+            CHAT_UNARCHIVED: "chat_unarchived",
+            CHAT_PINNED: "chat_pinned",
+            CHAT_UNPINNED: "chat_unpinned",
+            CHAT_MUTED: "chat_muted",
+            CHAT_UNMUTED: "chat_unmuted",
+            CHAT_UNREAD_CHANGED: "chat_unread_changed",
+            CHAT_CLEARED: "chat_cleared",
+            CALL_INCOMING: "call_incoming",
+            CALL_ACCEPTED: "call_accepted",
+            CALL_REJECTED: "call_rejected",
+            CALL_MISSED: "call_missed",
+            CALL_ENDED: "call_ended"
         };
     }
 
     _getDefaultMessageTypes() {
-        return ['chat', 'image', 'video', 'audio', 'document', 'sticker', 'ptt', 'ptv', 'album', 'gp2', 'revoked', 'notification_template'];
+        return ['chat', 'image', 'video', 'audio', 'document', 'sticker', 'ptt', 'ptv', 'album', 'gp2', 'revoked', 'notification_template', 'poll_creation'];
     }
 
     _getDefaultIgnoredTypes() {
@@ -70,9 +92,9 @@ class EventTransformers {
     }
 
     _isGroupMessage(originalData) {
-        return originalData.from?.user?.includes('@g.us') || 
+        return !!(originalData.from?.user?.includes('@g.us') || 
                originalData.id?.remote?.user?.includes('@g.us') ||
-               originalData.__raw?.from?.includes('@g.us');
+               originalData.__raw?.from?.includes('@g.us'));
     }
 
     _normalizeId(id) {
@@ -125,6 +147,7 @@ class EventTransformers {
 
         const transformedData = {
             status_id: originalData.id?.id || null,
+            status_key: originalData.id?._serialized || null,
             type: eventType,
             format: this._getMediaFormat(originalData),
             status_author_number: originalData.id?.participant?.user || originalData.from?.user || null,
@@ -172,6 +195,24 @@ class EventTransformers {
             transformedData.body = originalData.body;
         }
 
+        if (event.data?.type === 'message_edited') {
+            this._handleEditedMessage(originalData, transformedData);
+        }
+
+        // A poll is announced once; receipts for the poll message keep their message_* type
+        if (originalData.type === 'poll_creation' && event.data?.type === 'message_create') {
+            transformedData.type = this.eventTypes.POLL_CREATED;
+        }
+
+        if (originalData.media) {
+            transformedData.media = {
+                path: originalData.media.path,
+                size: originalData.media.size,
+                sha256: originalData.media.sha256,
+                mimetype: originalData.media.mimetype
+            };
+        }
+
         return this._buildBaseTransformedEvent(event, originalData, transformedData);
     }
 
@@ -186,6 +227,9 @@ class EventTransformers {
             case 'gp2':
                 this._handleGroupEvent(originalData, transformedData);
                 break;
+            case 'poll_creation':
+                this._handlePollCreation(originalData, transformedData);
+                break;
         }
     }
 
@@ -210,6 +254,30 @@ class EventTransformers {
         transformedData.original_message_id = originalData.__raw?.protocolMessageKey?.id || null;
     }
 
+    _handleEditedMessage(originalData, transformedData) {
+        const edit = originalData.edit || {};
+
+        transformedData.type = this.eventTypes.MESSAGE_EDITED;
+        transformedData.original_message_id = originalData.id?.id || null;
+        transformedData.edit_message_id = edit.editMsgId || null;
+        if (edit.newBody !== null && edit.newBody !== undefined) {
+            transformedData.body = edit.newBody;
+        }
+        transformedData.previous_body = edit.previousBody ?? null;
+        transformedData.edit_time = edit.editTimestamp?.toString() || null;
+        transformedData.edited_by = this._normalizeId(edit.editor);
+    }
+
+    _handlePollCreation(originalData, transformedData) {
+        const pollOptions = originalData.pollOptions || originalData.__raw?.pollOptions || [];
+        const selectableCount = originalData.pollSelectableOptionsCount ?? originalData.__raw?.pollSelectableOptionsCount;
+
+        transformedData.poll_question = originalData.pollName || originalData.__raw?.pollName || null;
+        transformedData.poll_options = pollOptions.map(option => option.name);
+        // WhatsApp allows any number of answers when the selectable count is 0
+        transformedData.allow_multiple_answers = !selectableCount;
+    }
+
     _handleGroupEvent(originalData, transformedData) {
         const subtype = originalData.__raw?.subtype;
         const recipients = originalData.__raw?.recipients || [];
@@ -221,9 +289,174 @@ class EventTransformers {
         );
     }
 
+    _getReactionType(event) {
+        const reactionTypes = {
+            reaction_added: this.eventTypes.REACTION_ADDED,
+            reaction_changed: this.eventTypes.REACTION_CHANGED,
+            reaction_removed: this.eventTypes.REACTION_REMOVED
+        };
+        return reactionTypes[event.data?.type] || null;
+    }
+
+    transformReactionEvent(event) {
+        const reactionType = this._getReactionType(event);
+        const originalData = event.data?.data;
+        if (!reactionType || !originalData) return null;
+
+        const isGroupReaction = !!originalData.chatId?.endsWith('@g.us');
+        const chatNumber = originalData.chatId ? originalData.chatId.replace(/@(c\.us|g\.us|lid)$/, '') : null;
+
+        const transformedData = {
+            message_id: originalData.msgId?.id || null,
+            type: reactionType,
+            reaction: originalData.emoji || null,
+            previous_reaction: originalData.previousEmoji || null,
+            from_number: this._normalizeId(originalData.sender),
+            to_number: originalData.fromMe ? chatNumber : this._normalizeId(originalData.to),
+            isGroup: isGroupReaction,
+            group_id: isGroupReaction ? chatNumber : null,
+            fromMe: originalData.fromMe || false,
+            reaction_time: originalData.timestamp?.toString() || null
+        };
+
+        return this._buildBaseTransformedEvent(event, originalData, transformedData);
+    }
+
+    _getChatEventType(event) {
+        const change = event.data?.data?.change;
+
+        switch (event.data?.type) {
+            case 'chat_add':
+                return this.eventTypes.CHAT_CREATED;
+            case 'chat_remove':
+                return this.eventTypes.CHAT_DELETED;
+            case 'chat_change':
+                switch (change?.field) {
+                    case 'archive':
+                        return change.to ? this.eventTypes.CHAT_ARCHIVED : this.eventTypes.CHAT_UNARCHIVED;
+                    case 'pin':
+                        return change.to ? this.eventTypes.CHAT_PINNED : this.eventTypes.CHAT_UNPINNED;
+                    case 'muteExpiration':
+                        return change.to ? this.eventTypes.CHAT_MUTED : this.eventTypes.CHAT_UNMUTED;
+                    case 'unreadCount':
+                        return this.eventTypes.CHAT_UNREAD_CHANGED;
+                    case 'messageCount':
+                        return this.eventTypes.CHAT_CLEARED;
+                }
+                return null;
+        }
+        return null;
+    }
+
+    _isChatLifecycleEvent(event) {
+        return ['chat_add', 'chat_change', 'chat_remove'].includes(event.data?.type);
+    }
+
+    transformChatLifecycleEvent(event) {
+        const originalData = event.data.data;
+        const chatEventType = this._getChatEventType(event);
+        if (!originalData || !chatEventType) return null;
+
+        const chatId = typeof originalData.id === 'string' ? originalData.id : originalData.id?._serialized;
+        const isGroupChat = originalData.isGroup ?? !!chatId?.endsWith('@g.us');
+        const chatNumber = chatId ? chatId.replace(/@(c\.us|g\.us|lid)$/, '') : null;
+
+        const transformedData = {
+            chat_id: chatNumber,
+            type: chatEventType,
+            name: originalData.name || null,
+            isGroup: isGroupChat,
+            group_id: isGroupChat ? chatNumber : null,
+            archived: originalData.archive || false,
+            pinned: !!originalData.pin,
+            muted: !!originalData.muteExpiration,
+            mute_expiration: originalData.muteExpiration ? originalData.muteExpiration.toString() : null,
+            // WhatsApp Web marks a chat as unread by setting unreadCount to -1
+            unread_count: Math.max(originalData.unreadCount || 0, 0),
+            marked_unread: originalData.unreadCount === -1
+        };
+
+        // The chat timestamp is its last activity, not the time of this change
+        return this._buildBaseTransformedEvent(event, {}, transformedData);
+    }
+
+    _getCallType(event) {
+        const callTypes = {
+            call_incoming: this.eventTypes.CALL_INCOMING,
+            call_accepted: this.eventTypes.CALL_ACCEPTED,
+            call_rejected: this.eventTypes.CALL_REJECTED,
+            call_missed: this.eventTypes.CALL_MISSED,
+            call_ended: this.eventTypes.CALL_ENDED
+        };
+        return callTypes[event.data?.type] || null;
+    }
+
+    transformCallEvent(event) {
+        const callType = this._getCallType(event);
+        const originalData = event.data?.data;
+        if (!callType || !originalData) return null;
+
+        const groupId = originalData.isGroup && originalData.groupJid ?
+            originalData.groupJid.replace(/@g\.us$/, '') : null;
+
+        const transformedData = {
+            call_id: originalData.id || null,
+            type: callType,
+            call_type: originalData.isVideo ? 'video' : 'voice',
+            direction: originalData.outgoing ? 'outgoing' : 'incoming',
+            from_number: this._normalizeId(originalData.from),
+            to_number: this._normalizeId(originalData.to),
+            isGroup: originalData.isGroup || false,
+            group_id: groupId,
+            fromMe: originalData.outgoing || false,
+            participants: (originalData.participants || []).map(id => this._normalizeId(id)).filter(Boolean),
+            duration: originalData.duration ?? null,
+            call_time: originalData.offerTime?.toString() || null
+        };
+
+        return this._buildBaseTransformedEvent(event, {}, transformedData);
+    }
+
+    transformPollVote(event) {
+        const originalData = event.data?.data;
+        if (event.data?.type !== 'poll_vote' || !originalData) return null;
+
+        const isGroupVote = !!originalData.chatId?.endsWith('@g.us');
+        const chatNumber = originalData.chatId ? originalData.chatId.replace(/@(c\.us|g\.us|lid)$/, '') : null;
+
+        const transformedData = {
+            message_id: originalData.msgId?.id || null,
+            type: this.eventTypes.POLL_VOTE,
+            from_number: this._normalizeId(originalData.voter),
+            to_number: originalData.fromMe ? chatNumber : this._normalizeId(originalData.to),
+            isGroup: isGroupVote,
+            group_id: isGroupVote ? chatNumber : null,
+            fromMe: originalData.fromMe || false,
+            poll_question: originalData.pollName || null,
+            selected_options: (originalData.selectedOptions || []).map(option => option.name),
+            results: (originalData.results || []).map(option => ({ option: option.name, votes: option.votes })),
+            voter_count: originalData.voterCount || 0,
+            vote_time: originalData.timestamp?.toString() || null
+        };
+
+        return this._buildBaseTransformedEvent(event, originalData, transformedData);
+    }
+
     transform(event) {
         if (this.shouldIgnoreEvent(event)) return null;
 
+        const pollVoteTransformed = this.transformPollVote(event);
+        if (pollVoteTransformed) return pollVoteTransformed;
+
+        const callTransformed = this.transformCallEvent(event);
+        if (callTransformed) return callTransformed;
+
+        // Chat changes other than the known lifecycle transitions are dropped
+        if (this._isChatLifecycleEvent(event)) return this.transformChatLifecycleEvent(event);
+
+        const reactionTransformed = this.transformReactionEvent(event);
+        if (reactionTransformed) return reactionTransformed;
+
         const statusTransformed = this.transformStatusEvent(event);
         if (statusTransformed) return statusTransformed;
 